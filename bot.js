@@ -1,10 +1,14 @@
 import fs from "fs";
+import crypto from "crypto";
 import path from "path";
 import { execFile } from "child_process";
 import TelegramBot from "node-telegram-bot-api";
 import sharp from "sharp";
 import PDFDocument from "pdfkit";
+import * as fontkit from "fontkit";
 import { v4 as uuidv4 } from "uuid";
+import yauzl from "yauzl";
+import yazl from "yazl";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -16,7 +20,27 @@ sharp.simd(false);
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const STAMP_LABELS = String(process.env.STAMP_LABELS || "false").toLowerCase() === "true";
-const ADMIN_ID = process.env.ADMIN_ID ? parseInt(process.env.ADMIN_ID) : null;
+// The owner manages admins; ADMIN_ID is still read for older .env files
+const OWNER_ID = parseInt(process.env.OWNER_ID || process.env.ADMIN_ID) || null;
+
+function hoursFromEnv(name, fallback) {
+  const value = process.env[name];
+  return value !== undefined && value !== "" && Number.isFinite(Number(value)) ? Math.max(0, Number(value)) : fallback;
+}
+
+// How long the last finished batch can be regenerated (hours, 0 = never kept)
+const BATCH_KEEP_HOURS = hoursFromEnv("BATCH_KEEP_HOURS", 24);
+// Retention sweeper lifetimes in hours, 0 turns that cleanup off:
+// uploads no batch refers to any more, finished job folders, and unfinished batches without activity
+const ORPHAN_UPLOAD_HOURS = hoursFromEnv("ORPHAN_UPLOAD_HOURS", 6);
+const JOB_KEEP_HOURS = hoursFromEnv("JOB_KEEP_HOURS", 1);
+const SESSION_IDLE_HOURS = hoursFromEnv("SESSION_IDLE_HOURS", 72);
+// Users are warned this many hours before their unfinished batch expires
+const SESSION_WARN_HOURS = hoursFromEnv("SESSION_WARN_HOURS", 12);
+// Set to any secret passphrase to store uploads and job files encrypted; changing it makes stored files unreadable
+const STORAGE_KEY = process.env.STORAGE_KEY || "";
+// Rendering holds a whole batch in memory, so only this many PDF/preview jobs run at once
+const RENDER_CONCURRENCY = Math.max(1, parseInt(process.env.RENDER_CONCURRENCY) || 1);
 
 if (!BOT_TOKEN) {
   console.error("Missing BOT_TOKEN in .env");
@@ -63,6 +87,148 @@ function registerChatId(chatId) {
 
 loadKnownChats();
 
+// Per-chat preferences that outlive a batch (kept across /reset)
+const CHAT_SETTINGS_FILE = path.join(ROOT, "chat_settings.json");
+const chatSettings = new Map();
+
+function loadChatSettings() {
+  if (!fs.existsSync(CHAT_SETTINGS_FILE)) return;
+  try {
+    const raw = fs.readFileSync(CHAT_SETTINGS_FILE, "utf8");
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === "object") {
+      for (const [id, settings] of Object.entries(parsed)) {
+        const chatId = parseInt(id);
+        if (Number.isInteger(chatId) && settings && typeof settings === "object") {
+          chatSettings.set(chatId, settings);
+        }
+      }
+    }
+  } catch (e) {
+    console.error(`Failed to load chat settings: ${e.message}`);
+  }
+}
+
+function persistChatSettings() {
+  try {
+    const out = {};
+    for (const [chatId, settings] of chatSettings) out[chatId] = settings;
+    fs.writeFileSync(CHAT_SETTINGS_FILE, JSON.stringify(out, null, 2));
+  } catch (e) {
+    console.error(`Failed to save chat settings: ${e.message}`);
+  }
+}
+
+function getChatSettings(chatId) {
+  return chatSettings.get(chatId) || {};
+}
+
+function updateChatSettings(chatId, patch) {
+  const next = { ...getChatSettings(chatId), ...patch };
+  chatSettings.set(chatId, next);
+  persistChatSettings();
+  return next;
+}
+
+loadChatSettings();
+
+/* ==========================
+   Access control
+   ========================== */
+
+// Roles, bans and the allowlist, changed at runtime by the admin commands (kept across /reset)
+const ACCESS_FILE = path.join(ROOT, "access.json");
+const ROLE_RANK = { operator: 1, admin: 2, owner: 3 };
+const access = {
+  admins: new Set(),
+  operators: new Set(),
+  banned: new Set(),
+  allowlistEnabled: false,
+  allowedChats: new Set()
+};
+
+function loadAccess() {
+  if (!fs.existsSync(ACCESS_FILE)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(ACCESS_FILE, "utf8"));
+    for (const key of ["admins", "operators", "banned", "allowedChats"]) {
+      for (const id of Array.isArray(parsed[key]) ? parsed[key] : []) {
+        if (Number.isInteger(id)) access[key].add(id);
+      }
+    }
+    access.allowlistEnabled = !!parsed.allowlistEnabled;
+  } catch (e) {
+    console.error(`Failed to load access list: ${e.message}`);
+  }
+}
+
+function persistAccess() {
+  const sorted = (set) => Array.from(set).sort((a, b) => a - b);
+  try {
+    fs.writeFileSync(
+      ACCESS_FILE,
+      JSON.stringify(
+        {
+          admins: sorted(access.admins),
+          operators: sorted(access.operators),
+          banned: sorted(access.banned),
+          allowlistEnabled: access.allowlistEnabled,
+          allowedChats: sorted(access.allowedChats)
+        },
+        null,
+        2
+      )
+    );
+  } catch (e) {
+    console.error(`Failed to save access list: ${e.message}`);
+  }
+}
+
+function getRole(userId) {
+  if (!Number.isInteger(userId)) return null;
+  if (OWNER_ID && userId === OWNER_ID) return "owner";
+  if (access.admins.has(userId)) return "admin";
+  if (access.operators.has(userId)) return "operator";
+  return null;
+}
+
+// True when the user has `role` or a higher one
+function hasRole(userId, role) {
+  const current = getRole(userId);
+  return !!current && ROLE_RANK[current] >= ROLE_RANK[role];
+}
+
+// In allowlist mode only approved chats and staff can generate PDFs
+function isChatAllowed(chatId, userId) {
+  return !access.allowlistEnabled || access.allowedChats.has(chatId) || hasRole(userId, "operator");
+}
+
+// From a button, pass the callback query: it is answered with the refusal instead of "Generating..."
+async function ensureChatAllowed(chatId, userId, query = null) {
+  if (isChatAllowed(chatId, userId)) return true;
+  if (query) await bot.answerCallbackQuery(query.id, { text: "This chat is not approved." });
+  await bot.sendMessage(
+    chatId,
+    `🔒 This bot only generates PDFs for approved chats. Ask an admin to approve this chat (ID ${chatId}).`
+  );
+  return false;
+}
+
+function parseAccessId(text) {
+  return /^-?\d+$/.test(text || "") ? parseInt(text) : null;
+}
+
+loadAccess();
+
+// Updates from banned users or chats are dropped before any handler sees them
+const dispatchUpdate = bot.processUpdate.bind(bot);
+bot.processUpdate = (update) => {
+  const source = update.message || update.edited_message || update.callback_query;
+  const ids = [source?.from?.id, source?.chat?.id, update.callback_query?.message?.chat?.id];
+  if (ids.some((id) => access.banned.has(id))) return undefined;
+  return dispatchUpdate(update);
+};
+
 /**
  * In-memory state per chat:
  * {
@@ -74,32 +240,223 @@ loadKnownChats();
  *   pairs?: Array<{front: string, back: string}>,
  *   currentGroup?: number,
  *   imageGroups?: Array<Array<{path: string, type: string, seq: number}>> // seq is message order
+ *   groupNames?: Array<string|null> // separator text naming each group, same indexes as imageGroups
  * }
+ *
+ * The batch part of it is mirrored to data/<chatId>/session.json (see
+ * persistSession) so a restart does not lose uploads that are already on disk.
  */
 const state = new Map();
+
+function createInitialState() {
+  return {
+    pairs: [],
+    fronts: [],
+    backs: [],
+    currentGroup: 0,
+    imageGroups: [[]],
+    groupNames: [],
+    lastImagePath: null,
+    lastImageOrder: null,
+    pendingImages: [],
+    awaitingNews: false,
+    awaitingOverlayLogo: false,
+    // "batch" or "again" while waiting for a PDF password; the password itself is never persisted
+    awaitingPdfPassword: null,
+    pdfPassword: null,
+    uiShown: false,
+    uiMessageId: null,
+    lastActivityAt: Date.now(),
+    expiryWarnedAt: null
+  };
+}
+
 function getState(chatId) {
   if (!state.has(chatId)) {
-    state.set(chatId, {
-      pairs: [],
-      fronts: [],
-      backs: [],
-      currentGroup: 0,
-      imageGroups: [[]],
-      lastImagePath: null,
-      lastImageOrder: null,
-      pendingImages: [],
-      awaitingNews: false,
-      uiShown: false,
-      uiMessageId: null
-    });
+    state.set(chatId, createInitialState());
   }
   return state.get(chatId);
 }
 
+const SESSION_FILE = "session.json";
+
+function sessionPath(chatId) {
+  return path.join(ROOT, String(chatId), SESSION_FILE);
+}
+
+// Paths are stored relative to ROOT so the bot folder can be moved between deploys
+function toStoredPath(p) {
+  return p ? path.relative(ROOT, p) : p;
+}
+
+function fromStoredPath(p) {
+  return p ? path.resolve(ROOT, p) : p;
+}
+
+function serializeSession(st) {
+  const mapImages = (list) =>
+    (list || []).map((img) => ({
+      ...img,
+      path: toStoredPath(img.path),
+      ...(img.originalPath ? { originalPath: toStoredPath(img.originalPath) } : {})
+    }));
+  return {
+    version: 1,
+    savedAt: new Date().toISOString(),
+    fronts: mapImages(st.fronts),
+    backs: mapImages(st.backs),
+    currentGroup: st.currentGroup || 0,
+    imageGroups: (st.imageGroups || [[]]).map((group) => mapImages(group)),
+    groupNames: st.groupNames || [],
+    // Only finished downloads can be resumed; in-flight ones are re-sent by the user
+    pendingImages: (st.pendingImages || [])
+      .filter((item) => item.ready)
+      .map((item) => ({ path: toStoredPath(item.path), seq: item.seq })),
+    pendingPairs: st.pendingPairs
+      ? st.pendingPairs.map((p) => ({ ...p, front: toStoredPath(p.front), back: toStoredPath(p.back) }))
+      : null,
+    lastImagePath: toStoredPath(st.lastImagePath),
+    lastImageOrder: st.lastImageOrder ?? null,
+    uiShown: !!st.uiShown,
+    uiMessageId: st.uiMessageId ?? null,
+    history: (st.history || []).map((entry) => (entry.path ? { ...entry, path: toStoredPath(entry.path) } : entry)),
+    cropOffers: Object.fromEntries(
+      Object.entries(st.cropOffers || {}).map(([key, offer]) => [
+        key,
+        { original: toStoredPath(offer.original), cropped: toStoredPath(offer.cropped) }
+      ])
+    ),
+    lastBatch: st.lastBatch
+      ? {
+        createdAt: st.lastBatch.createdAt,
+        pairs: st.lastBatch.pairs.map((p) => ({ ...p, front: toStoredPath(p.front), back: toStoredPath(p.back) }))
+      }
+      : null,
+    tagReceipts: st.tagReceipts || {},
+    lastActivityAt: st.lastActivityAt ?? null,
+    expiryWarnedAt: st.expiryWarnedAt ?? null
+  };
+}
+
+function deserializeSession(data) {
+  const st = createInitialState();
+  const exists = (p) => !!p && fs.existsSync(p);
+  const mapImages = (list) =>
+    (Array.isArray(list) ? list : [])
+      .map((img) => ({
+        ...img,
+        path: fromStoredPath(img.path),
+        ...(img.originalPath ? { originalPath: fromStoredPath(img.originalPath) } : {})
+      }))
+      .filter((img) => exists(img.path));
+
+  st.fronts = mapImages(data.fronts);
+  st.backs = mapImages(data.backs);
+  st.imageGroups = Array.isArray(data.imageGroups) && data.imageGroups.length > 0
+    ? data.imageGroups.map((group) => mapImages(group))
+    : [[]];
+  st.currentGroup = Number.isInteger(data.currentGroup) ? data.currentGroup : 0;
+  while (st.imageGroups.length <= st.currentGroup) st.imageGroups.push([]);
+  st.groupNames = Array.isArray(data.groupNames) ? data.groupNames.slice(0, st.imageGroups.length) : [];
+  st.pendingImages = mapImages(data.pendingImages).map((item) => ({
+    path: item.path,
+    seq: item.seq,
+    ready: true,
+    promise: null
+  }));
+
+  if (Array.isArray(data.pendingPairs)) {
+    const pairs = data.pendingPairs
+      .map((p) => ({ ...p, front: fromStoredPath(p.front), back: fromStoredPath(p.back) }))
+      .filter((p) => exists(p.front) && exists(p.back));
+    st.pendingPairs = pairs.length > 0 ? pairs : null;
+  }
+
+  const lastImagePath = fromStoredPath(data.lastImagePath);
+  if (exists(lastImagePath)) {
+    st.lastImagePath = lastImagePath;
+    st.lastImageOrder = data.lastImageOrder ?? null;
+  }
+
+  st.uiShown = !!data.uiShown;
+  st.uiMessageId = data.uiMessageId ?? null;
+
+  st.history = (Array.isArray(data.history) ? data.history : [])
+    .map((entry) => (entry.path ? { ...entry, path: fromStoredPath(entry.path) } : entry))
+    .filter((entry) => entry.kind === "separator" || exists(entry.path));
+
+  st.cropOffers = {};
+  for (const [key, offer] of Object.entries(data.cropOffers || {})) {
+    const original = fromStoredPath(offer.original);
+    const cropped = fromStoredPath(offer.cropped);
+    if (exists(original) && exists(cropped)) st.cropOffers[key] = { original, cropped };
+  }
+
+  if (data.lastBatch && Array.isArray(data.lastBatch.pairs)) {
+    st.lastBatch = {
+      createdAt: data.lastBatch.createdAt,
+      pairs: data.lastBatch.pairs.map((p) => ({ ...p, front: fromStoredPath(p.front), back: fromStoredPath(p.back) }))
+    };
+  }
+
+  st.tagReceipts = {};
+  for (const [messageId, seq] of Object.entries(data.tagReceipts || {})) {
+    if (Number.isFinite(seq)) st.tagReceipts[messageId] = seq;
+  }
+
+  // Sessions saved before activity was tracked count as active when saved
+  st.lastActivityAt = data.lastActivityAt ?? (Date.parse(data.savedAt) || Date.now());
+  st.expiryWarnedAt = data.expiryWarnedAt ?? null;
+  return st;
+}
+
+function persistSession(chatId) {
+  const st = state.get(chatId);
+  if (!st) return;
+  try {
+    const file = sessionPath(chatId);
+    ensureDir(path.dirname(file));
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(serializeSession(st), null, 2));
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    console.error(`Failed to save session for ${chatId}: ${e.message}`);
+  }
+}
+
+function restoreSessions() {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(ROOT, { withFileTypes: true });
+  } catch (e) {
+    console.error(`Failed to read sessions: ${e.message}`);
+    return;
+  }
+
+  let restored = 0;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !/^-?\d+$/.test(entry.name)) continue;
+    const chatId = parseInt(entry.name);
+    const file = sessionPath(chatId);
+    if (!fs.existsSync(file)) continue;
+    try {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      state.set(chatId, deserializeSession(data));
+      restored += 1;
+    } catch (e) {
+      console.error(`Failed to restore session for ${chatId}: ${e.message}`);
+    }
+  }
+
+  if (restored > 0) console.log(`Restored ${restored} chat session(s)`);
+}
+
 function ensureDir(p) {
   fs.mkdirSync(p, { recursive: true });
 }
 
+restoreSessions();
+
 function queuePendingImage(st, imgPath, order, downloadPromise) {
   if (!st.pendingImages) st.pendingImages = [];
   const item = { path: imgPath, seq: order, ready: false, promise: null };
@@ -149,9 +506,260 @@ function addLabeledImage(st, type, imgPath, order) {
     st.lastImageOrder = null;
   }
 
+  recordHistory(st, { kind: "label", path: imgPath });
   return { frontCount: st.fronts.length, backCount: st.backs.length };
 }
 
+function startNextGroup(st, name = null) {
+  st.currentGroup = (st.currentGroup || 0) + 1;
+  if (!st.imageGroups) st.imageGroups = [[]];
+  if (!st.imageGroups[st.currentGroup]) {
+    st.imageGroups[st.currentGroup] = [];
+  }
+  setGroupName(st, st.currentGroup, name);
+  recordHistory(st, { kind: "separator" });
+  return st.currentGroup;
+}
+
+const GROUP_NAME_MAX_LENGTH = 60;
+// Separator texts that only mean "next ID", not a name worth printing
+const GENERIC_SEPARATORS = new Set(["next", "new", "n", "-", "--", "---", ".", "+"]);
+
+function setGroupName(st, groupIdx, name) {
+  if (!st.groupNames) st.groupNames = [];
+  const clean = (name || "").replace(/\s+/g, " ").trim().slice(0, GROUP_NAME_MAX_LENGTH);
+  st.groupNames[groupIdx] = clean && !GENERIC_SEPARATORS.has(clean.toLowerCase()) ? clean : null;
+  batchChanged(st);
+}
+
+function getGroupName(st, groupIdx) {
+  return st.groupNames?.[groupIdx] || null;
+}
+
+/* ==========================
+   Sequential mode
+   ========================== */
+
+function isSequentialMode(chatId) {
+  return getChatSettings(chatId).mode === "sequential";
+}
+
+/**
+ * Side the next sequential image gets: a back while the current group has a
+ * front waiting for one, otherwise a front. Derived from the groups (not a
+ * toggle) so it stays right after /undo, /remove or /swap.
+ */
+function nextSequentialSide(st) {
+  const group = st.imageGroups?.[st.currentGroup || 0] || [];
+  const fronts = group.filter((img) => img.type === "front").length;
+  const backs = group.filter((img) => img.type === "back").length;
+  return fronts > backs ? "back" : "front";
+}
+
+// Label the oldest pending image (by message order) as the next front or back
+async function labelNextSequential(chatId, st, { quiet = false } = {}) {
+  const img = await takePendingImage(st);
+  if (!img) return null;
+
+  const side = nextSequentialSide(st);
+  if (side === "front" && (st.imageGroups?.[st.currentGroup || 0] || []).length > 0) {
+    startNextGroup(st);
+  }
+  const { frontCount, backCount } = addLabeledImage(st, side, img.path, img.seq);
+  if (quiet) return side;
+
+  await showTemplateUI(chatId, st);
+  const idNumber = (st.currentGroup || 0) + 1;
+  const next = side === "front" ? "send its back" : "send the next front";
+  await bot.sendMessage(
+    chatId,
+    `✅ ${side.toUpperCase()} of ID #${idNumber} (${next}). Total: ${frontCount} fronts, ${backCount} backs. /pdf`
+  );
+  return side;
+}
+
+/* ==========================
+   Undo, remove, swap, delete
+   ========================== */
+
+const HISTORY_LIMIT = 200;
+
+// Labels and separators in the order they happened, newest last (for /undo)
+function recordHistory(st, entry) {
+  if (!st.history) st.history = [];
+  st.history.push(entry);
+  if (st.history.length > HISTORY_LIMIT) st.history.shift();
+}
+
+// Any change to the groups invalidates a batch already prepared by /pdf
+function batchChanged(st) {
+  st.pendingPairs = null;
+}
+
+function removeFromSideLists(st, imgPath) {
+  st.fronts = (st.fronts || []).filter((img) => img.path !== imgPath);
+  st.backs = (st.backs || []).filter((img) => img.path !== imgPath);
+}
+
+// Drop an image from its group and the front/back lists; returns the removed item
+function removeGroupImage(st, groupIdx, item) {
+  const group = st.imageGroups?.[groupIdx];
+  if (!group) return null;
+  const idx = group.indexOf(item);
+  if (idx < 0) return null;
+  group.splice(idx, 1);
+  removeFromSideLists(st, item.path);
+  st.history = (st.history || []).filter((entry) => entry.path !== item.path);
+  batchChanged(st);
+  return item;
+}
+
+function findImageByPath(st, imgPath) {
+  const groups = st.imageGroups || [];
+  for (let groupIdx = 0; groupIdx < groups.length; groupIdx++) {
+    const item = groups[groupIdx].find((img) => img.path === imgPath);
+    if (item) return { groupIdx, item };
+  }
+  return null;
+}
+
+/**
+ * Revert the newest label (the image goes back to the untagged queue, or is
+ * dropped when there are no tags to redo it with) or separator (the chat
+ * returns to the previous group). Returns a description
+ * for the user, or null when there is nothing left to undo.
+ */
+function undoLast(st, { requeue = true } = {}) {
+  while (st.history?.length) {
+    const entry = st.history.pop();
+
+    if (entry.kind === "separator") {
+      const current = st.currentGroup || 0;
+      if (current === 0) continue;
+      if ((st.imageGroups[current] || []).length === 0 && current === st.imageGroups.length - 1) {
+        st.imageGroups.splice(current, 1);
+        st.groupNames?.splice(current, 1);
+      }
+      st.currentGroup = current - 1;
+      batchChanged(st);
+      return `separator undone, back to group #${st.currentGroup + 1}`;
+    }
+
+    const found = findImageByPath(st, entry.path);
+    if (!found) continue;
+    const { groupIdx, item } = found;
+    const group = st.imageGroups[groupIdx];
+    group.splice(group.indexOf(item), 1);
+    removeFromSideLists(st, item.path);
+    batchChanged(st);
+    if (!requeue) return `${item.type.toUpperCase()} of ID #${groupIdx + 1} removed from the batch`;
+    queuePendingImage(st, item.path, item.seq);
+    return `${item.type.toUpperCase()} label removed from ID #${groupIdx + 1}; the image is untagged again`;
+  }
+  return null;
+}
+
+// Exchange front and back inside one group
+function swapGroupSides(st, groupIdx) {
+  const group = st.imageGroups?.[groupIdx] || [];
+  for (const item of group) {
+    const from = item.type === "front" ? st.fronts : st.backs;
+    const to = item.type === "front" ? st.backs : st.fronts;
+    const idx = from.findIndex((img) => img.path === item.path);
+    if (idx >= 0) to.push(...from.splice(idx, 1));
+    item.type = item.type === "front" ? "back" : "front";
+  }
+  st.fronts.sort((a, b) => a.seq - b.seq);
+  st.backs.sort((a, b) => a.seq - b.seq);
+  batchChanged(st);
+}
+
+// Move a group to another position; the current group keeps collecting new images
+function moveGroup(st, from, to) {
+  const groups = st.imageGroups || [];
+  if (from === to || !groups[from] || to < 0 || to >= groups.length) return false;
+  const current = groups[st.currentGroup || 0];
+  const [group] = groups.splice(from, 1);
+  groups.splice(to, 0, group);
+  const names = st.groupNames || [];
+  while (names.length < groups.length) names.push(null);
+  names.splice(to, 0, ...names.splice(from, 1));
+  st.groupNames = names;
+  st.currentGroup = Math.max(0, groups.indexOf(current));
+  batchChanged(st);
+  return true;
+}
+
+// Forget every image of the batch being collected; the last finished batch stays
+function clearWorkingBatch(st) {
+  st.fronts = [];
+  st.backs = [];
+  st.imageGroups = [[]];
+  st.groupNames = [];
+  st.currentGroup = 0;
+  st.pendingPairs = null;
+  st.lastImagePath = null;
+  st.lastImageOrder = null;
+  st.pendingImages = [];
+  st.history = [];
+}
+
+/**
+ * Drop the groups of a finished batch, leftovers of incomplete groups
+ * included. Groups labelled while the job waited in the render queue stay
+ * for the next batch; with none left the chat starts over as after a reset.
+ */
+function clearFinishedBatch(st, pairs) {
+  const done = new Set(pairs.flatMap((pair) => [pair.front, pair.back]));
+  const kept = (st.imageGroups || [])
+    .map((group, idx) => ({ idx, group, name: st.groupNames?.[idx] ?? null }))
+    .filter((entry) => entry.group.length > 0 && !entry.group.some((img) => done.has(img.path)));
+
+  if (kept.length === 0) {
+    clearWorkingBatch(st);
+    return;
+  }
+
+  const current = kept.findIndex((entry) => entry.idx === (st.currentGroup || 0));
+  st.imageGroups = kept.map((entry) => entry.group);
+  st.groupNames = kept.map((entry) => entry.name);
+  if (current >= 0) {
+    st.currentGroup = current;
+  } else {
+    // The group collecting images was part of the batch; continue in a fresh one
+    st.imageGroups.push([]);
+    st.groupNames.push(null);
+    st.currentGroup = st.imageGroups.length - 1;
+  }
+  const keptPaths = new Set(st.imageGroups.flat().map((img) => img.path));
+  st.fronts = (st.fronts || []).filter((img) => keptPaths.has(img.path));
+  st.backs = (st.backs || []).filter((img) => keptPaths.has(img.path));
+  st.history = (st.history || []).filter((entry) => entry.kind === "separator" || keptPaths.has(entry.path));
+  batchChanged(st);
+}
+
+// Remove a whole group; later IDs move up by one
+function deleteGroup(st, groupIdx) {
+  const group = st.imageGroups?.[groupIdx];
+  if (!group) return false;
+  for (const item of group) {
+    removeFromSideLists(st, item.path);
+  }
+  const removed = new Set(group.map((img) => img.path));
+  st.history = (st.history || []).filter((entry) => !removed.has(entry.path));
+
+  if (groupIdx === st.currentGroup) {
+    st.imageGroups[groupIdx] = [];
+    setGroupName(st, groupIdx, null);
+  } else {
+    st.imageGroups.splice(groupIdx, 1);
+    st.groupNames?.splice(groupIdx, 1);
+    if (groupIdx < st.currentGroup) st.currentGroup -= 1;
+  }
+  batchChanged(st);
+  return true;
+}
+
 function queueLabel(st, fn) {
   const run = () => Promise.resolve().then(fn);
   st.labelLock = (st.labelLock || Promise.resolve()).then(run, run);
@@ -167,12 +775,16 @@ function run(cmd, args, opts = {}) {
   });
 }
 
-function buildPairsFromGroups(groups) {
+/**
+ * Pairs in print order. Each pair carries its group's name (if any) and a
+ * serial number counting pairs across the batch, for printed captions.
+ */
+function buildPairsFromGroups(groups, names = []) {
   const pairs = [];
   let incompleteGroups = 0;
   const safeGroups = Array.isArray(groups) ? groups : [];
 
-  for (const group of safeGroups) {
+  for (const [groupIdx, group] of safeGroups.entries()) {
     if (!group || group.length === 0) continue;
 
     const sorted = [...group].sort((a, b) => a.seq - b.seq);
@@ -183,7 +795,13 @@ function buildPairsFromGroups(groups) {
     if (fronts.length !== backs.length) incompleteGroups += 1;
 
     for (let i = 0; i < groupPairs; i++) {
-      pairs.push({ front: fronts[i].path, back: backs[i].path });
+      pairs.push({
+        front: fronts[i].path,
+        back: backs[i].path,
+        group: groupIdx,
+        name: names[groupIdx] || null,
+        serial: pairs.length + 1
+      });
     }
   }
 
@@ -244,413 +862,3314 @@ async function showTemplateUI(chatId, st) {
     st.uiMessageId = sentMessage.message_id;
     st.uiShown = true;
   }
+
+  // Every labelling path ends here, so this is where new images get checked and the batch saved
+  await warnLowResolution(chatId, st);
+  persistSession(chatId);
 }
 
-async function broadcastNews(message) {
-  const chatIds = Array.from(knownChats);
-  let sent = 0;
-  let failed = 0;
+/* ==========================
+   Render job queue
+   ========================== */
 
-  for (const id of chatIds) {
-    try {
-      await bot.sendMessage(id, message);
-      sent += 1;
-    } catch (e) {
-      failed += 1;
-    }
+// Telegram rate-limits message edits; progress is shown at most this often
+const PROGRESS_EDIT_INTERVAL_MS = 2000;
+const renderQueue = [];
+const runningJobs = new Map();
+let queueRefreshTimer = null;
+let lastQueueRefreshAt = 0;
+
+function jobCancelledError() {
+  return Object.assign(new Error("Cancelled"), { code: "JOB_CANCELLED" });
+}
+
+function cancelJobKeyboard(job) {
+  return { inline_keyboard: [[{ text: "✖️ Cancel", callback_data: `job_cancel_${job.id}` }]] };
+}
+
+async function editJobMessage(job, text, withCancel) {
+  if (!job.messageId || job.text === text) return;
+  job.text = text;
+  try {
+    await bot.editMessageText(text, {
+      chat_id: job.chatId,
+      message_id: job.messageId,
+      reply_markup: withCancel ? cancelJobKeyboard(job) : { inline_keyboard: [] }
+    });
+  } catch (e) {
+    console.error("Job message edit failed:", e.message);
   }
+}
 
-  return { sent, failed, total: chatIds.length };
+function hasRenderJob(chatId) {
+  return renderQueue.some((job) => job.chatId === chatId) || [...runningJobs.values()].some((job) => job.chatId === chatId);
 }
 
-async function downloadTelegramFile(fileId, outPath, maxRetries = 3) {
-  let lastError;
+// Only messages whose position changed are edited; the queue moves on while we await
+async function refreshQueuePositions() {
+  for (const job of [...renderQueue]) {
+    const position = renderQueue.indexOf(job) + 1;
+    if (position === 0 || position === job.position) continue;
+    job.position = position;
+    await editJobMessage(job, `⏳ ${job.title}: waiting, position ${position} in the queue.`, true);
+  }
+}
 
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const link = await bot.getFileLink(fileId);
-      const res = await fetch(link);
-      if (!res.ok) throw new Error("Failed to download file from Telegram");
-      const buf = Buffer.from(await res.arrayBuffer());
-      await fs.promises.writeFile(outPath, buf);
-      return outPath;
-    } catch (error) {
-      lastError = error;
+// Coalesces queue changes into at most one round of edits per PROGRESS_EDIT_INTERVAL_MS
+function scheduleQueueRefresh() {
+  if (queueRefreshTimer) return;
+  const wait = Math.max(0, lastQueueRefreshAt + PROGRESS_EDIT_INTERVAL_MS - Date.now());
+  queueRefreshTimer = setTimeout(() => {
+    lastQueueRefreshAt = Date.now();
+    refreshQueuePositions()
+      .catch((e) => console.error("Queue update failed:", e.message))
+      .finally(() => {
+        queueRefreshTimer = null;
+      });
+  }, wait);
+}
 
-      if (attempt < maxRetries - 1) {
-        const delay = Math.min(1000 * Math.pow(2, attempt), 5000);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+/**
+ * Called by the render steps between images and pages: throws once the job
+ * is cancelled and edits the progress message, rate-limited.
+ */
+async function reportJobProgress(job, label, done, total) {
+  if (job.cancelled) throw jobCancelledError();
+  const now = Date.now();
+  if (done < total && now - job.lastEditAt < PROGRESS_EDIT_INTERVAL_MS) {
+    // Let a pending Cancel tap through between synchronous render steps
+    await new Promise((resolve) => setImmediate(resolve));
+    return;
+  }
+  job.lastEditAt = now;
+  await editJobMessage(job, `⚙️ ${job.title}: ${label} ${done}/${total}...`, true);
+  if (job.cancelled) throw jobCancelledError();
+}
+
+async function runRenderJob(job) {
+  try {
+    await job.messageSent;
+    await editJobMessage(job, `⚙️ ${job.title}: starting...`, true);
+    const result = await job.work(job);
+    await editJobMessage(job, `✅ ${job.title}: done.`, false);
+    job.resolve(result);
+  } catch (e) {
+    if (job.cancelled) {
+      await editJobMessage(job, `🛑 ${job.title}: cancelled.`, false);
+      job.resolve(null);
+    } else {
+      await editJobMessage(job, `❌ ${job.title}: failed.`, false);
+      job.reject(e);
     }
+  } finally {
+    if (job.cancelled && job.jobDir) await removeStoredDir(job.jobDir);
   }
+}
 
-  throw new Error(`Download failed after ${maxRetries} attempts: ${lastError.message}`);
+function pumpRenderQueue() {
+  while (runningJobs.size < RENDER_CONCURRENCY && renderQueue.length > 0) {
+    const job = renderQueue.shift();
+    runningJobs.set(job.id, job);
+    runRenderJob(job).finally(() => {
+      runningJobs.delete(job.id);
+      pumpRenderQueue();
+    });
+  }
+  scheduleQueueRefresh();
 }
 
+/**
+ * Queue work(job) behind the other chats' render jobs. A status message with
+ * a Cancel button shows the queue position, then the job's progress.
+ * Resolves with work's result, or null when the job was cancelled.
+ * work should set job.jobDir so a cancelled job's files get removed.
+ * The job is queued before anything is awaited, so hasRenderJob sees it
+ * right away and a double tap can't queue the same batch twice.
+ */
+async function enqueueRenderJob(chatId, title, work) {
+  const job = { id: uuidv4().slice(0, 8), chatId, title, work, cancelled: false, jobDir: null, messageId: null, text: null, lastEditAt: 0 };
+  const done = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+
+  const waiting = runningJobs.size + renderQueue.length >= RENDER_CONCURRENCY;
+  job.position = renderQueue.length + 1;
+  job.text = waiting
+    ? `⏳ ${title}: waiting, position ${job.position} in the queue.`
+    : `⚙️ ${title}: starting...`;
+  renderQueue.push(job);
+
+  job.messageSent = bot.sendMessage(chatId, job.text, { reply_markup: cancelJobKeyboard(job) })
+    .then((msg) => {
+      job.messageId = msg.message_id;
+    })
+    .catch((e) => console.error("Job message failed:", e.message));
+  await job.messageSent;
+  // Cancelled (e.g. by /reset) while the message was on its way
+  if (job.cancelled) await editJobMessage(job, `🛑 ${title}: cancelled.`, false);
+  pumpRenderQueue();
+  return done;
+}
 
-async function stampLabel(inputImgPath, labelText, outPath) {
-  const img = sharp(inputImgPath);
-  const meta = await img.metadata();
-  const w = meta.width ?? 1200;
-  const h = meta.height ?? 800;
+// Returns false when the job is unknown or already finished
+async function cancelRenderJob(chatId, jobId) {
+  const queuedIdx = renderQueue.findIndex((job) => job.id === jobId && job.chatId === chatId);
+  if (queuedIdx >= 0) {
+    const [job] = renderQueue.splice(queuedIdx, 1);
+    job.cancelled = true;
+    await editJobMessage(job, `🛑 ${job.title}: cancelled.`, false);
+    job.resolve(null);
+    scheduleQueueRefresh();
+    return true;
+  }
+  const running = runningJobs.get(jobId);
+  if (!running || running.chatId !== chatId) return false;
+  // The job stops at its next progress report and removes its files
+  running.cancelled = true;
+  return true;
+}
 
-  const fontSize = Math.max(32, Math.floor(Math.min(w, h) * 0.05));
-  const pad = Math.max(12, Math.floor(fontSize * 0.35));
-  const boxW = Math.floor(fontSize * (labelText.length * 0.75) + pad * 2);
-  const boxH = Math.floor(fontSize * 1.3);
+async function cancelChatRenderJobs(chatId) {
+  const ids = [...renderQueue, ...runningJobs.values()].filter((job) => job.chatId === chatId).map((job) => job.id);
+  for (const id of ids) await cancelRenderJob(chatId, id);
+}
 
-  const x = w - boxW - pad;
-  const y = pad;
+// Orientation buttons offered after /pdf, keyed by callback_data
+const PDF_MODES = {
+  pdf_normal: { label: "normal", suffix: "normal" },
+  pdf_reverse: { label: "reversed", suffix: "reversed", swapSides: true },
+  pdf_flip: { label: "flipped + reversed", suffix: "flipped_reversed", flipImages: true, swapSides: true },
+  pdf_duplex_long: { label: "duplex, long edge", suffix: "duplex_long", duplex: "long" },
+  pdf_duplex_short: { label: "duplex, short edge", suffix: "duplex_short", duplex: "short" }
+};
 
-  const svg = `
-    <svg width="${w}" height="${h}" xmlns="http://www.w3.org/2000/svg">
-      <rect x="${x}" y="${y}" rx="10" ry="10"
-        width="${boxW}" height="${boxH}" fill="rgba(0,0,0,0.55)" />
-      <text x="${x + pad}" y="${y + Math.floor(boxH * 0.75)}"
-        font-family="Arial" font-size="${fontSize}" font-weight="700"
-        fill="white">${labelText}</text>
-    </svg>
-  `.trim();
+// Output choices offered next to the orientation buttons, keyed by format_<key> callbacks
+const OUTPUT_FORMATS = {
+  pdf: { label: "PDF", button: "📄 PDF" },
+  png: { label: "PNG pages", button: "🖼 PNG pages", raster: true },
+  jpeg: { label: "JPEG pages", button: "🖼 JPEG pages", raster: true },
+  zip: { label: "ZIP with one PDF per ID", button: "🗜 PDF per ID (ZIP)" }
+};
+const DEFAULT_OUTPUT_FORMAT = "pdf";
+// Sheet images go out one by one up to this many pages, zipped beyond
+const MAX_IMAGE_DOCUMENTS = 10;
 
-  await img.composite([{ input: Buffer.from(svg), top: 0, left: 0 }]).png().toFile(outPath);
-  return outPath;
+// Page images are rasterised with pdftoppm, so they are only offered when it is installed
+function isOutputFormatAvailable(format) {
+  return !!OUTPUT_FORMATS[format] && (!OUTPUT_FORMATS[format].raster || pdftoppmAvailable);
 }
 
-// Layout with exact measurements from PUB template
-// Page: 8.268" × 11.693" (595.30 × 841.90 points)
-// Back size: 3.33" x 2.15" (250pt x 154.8pt)
-// Front size: same as back (250pt x 154.8pt)
-// Front/back horizontal gap: 0.25" (18pt)
-// Symmetrical margins: 47.65pt left/right, 343.55pt top/bottom
-// Conversion: 1 inch = 72 points
-const LAYOUT = {
-  pageWpt: 595.30,
-  pageHpt: 841.90,
-  frontBox: { x: 47.65, y: 343.55, w: 250, h: 154.8 },
-  backBox: { x: 307.65, y: 343.55, w: 250, h: 154.8 }
-};
+function getChatOutputFormat(chatId) {
+  const format = getChatSettings(chatId).outputFormat;
+  return isOutputFormatAvailable(format) ? format : DEFAULT_OUTPUT_FORMAT;
+}
 
-/* ==================================
-   2) Generate PDF (same as PUB page)
-   ================================== */
+async function writeZip(entries, zipPath) {
+  const zip = new yazl.ZipFile();
+  // PDFs and images are already compressed
+  for (const entry of entries) {
+    if (storageKey) zip.addBuffer(await readStoredFile(entry.path), entry.name, { compress: false });
+    else zip.addFile(entry.path, entry.name, { compress: false });
+  }
 
-async function makeSinglePagePdf(frontImg, backImg, outPdf) {
-  const doc = new PDFDocument({ autoFirstPage: false });
+  if (storageKey) {
+    // Assembled in memory so the archive only reaches the disk encrypted
+    const chunks = [];
+    await new Promise((resolve, reject) => {
+      zip.outputStream.on("data", (chunk) => chunks.push(chunk));
+      zip.outputStream.on("end", resolve);
+      zip.outputStream.on("error", reject);
+      zip.end();
+    });
+    return writeStoredFile(zipPath, Buffer.concat(chunks));
+  }
 
-  await new Promise((resolve, reject) => {
-    const stream = fs.createWriteStream(outPdf);
-    doc.pipe(stream);
-    stream.on("finish", resolve);
-    stream.on("error", reject);
+  return new Promise((resolve, reject) => {
+    zip.outputStream
+      .pipe(fs.createWriteStream(zipPath))
+      .on("close", () => resolve(zipPath))
+      .on("error", reject);
+    zip.outputStream.on("error", reject);
+    zip.end();
+  });
+}
 
-    try {
-      doc.addPage({ size: [LAYOUT.pageWpt, LAYOUT.pageHpt], margin: 0 });
+function safeFileName(text, fallback) {
+  const clean = (text || "").replace(/[^\p{L}\p{N}._-]+/gu, "_").replace(/^[._]+|_+$/g, "").slice(0, 40);
+  return clean || fallback;
+}
 
-      // FRONT in measured frontBox
-      doc.image(frontImg, LAYOUT.frontBox.x, LAYOUT.frontBox.y, {
-        width: LAYOUT.frontBox.w,
-        height: LAYOUT.frontBox.h
-      });
+// One PDF per ID group, named after its position and group name
+async function makePerIdPdfs(pairs, jobDir, options) {
+  const groups = new Map();
+  for (const pair of pairs) {
+    const key = pair.group ?? `serial_${pair.serial}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(pair);
+  }
 
-      // BACK in measured backBox
-      doc.image(backImg, LAYOUT.backBox.x, LAYOUT.backBox.y, {
-        width: LAYOUT.backBox.w,
-        height: LAYOUT.backBox.h
-      });
+  const files = [];
+  let idx = 0;
+  for (const groupPairs of groups.values()) {
+    idx += 1;
+    const name = `${String(idx).padStart(2, "0")}_${safeFileName(groupPairs[0].name, "id")}.pdf`;
+    const file = path.join(jobDir, `id_${idx}.pdf`);
+    await makeMultiIdPdf(groupPairs, file, { ...options, onProgress: null });
+    files.push({ path: file, name });
+    await options.onProgress?.("PDF per ID", idx, groups.size);
+  }
+  return files;
+}
 
-      doc.end();
-    } catch (e) {
-      reject(e);
+/**
+ * Render the batch in the chat's output format and send it. Returns a short
+ * description of what was sent for the success message.
+ */
+async function sendRenderedOutput(chatId, format, pairs, jobDir, renderOptions, baseName) {
+  if (format === "zip") {
+    const files = await makePerIdPdfs(pairs, jobDir, renderOptions);
+    const zipPath = await writeZip(files, path.join(jobDir, "per_id.zip"));
+    await sendStoredDocument(chatId, zipPath, `${baseName}_per_id.zip`);
+    return `ZIP with ${files.length} PDF(s)`;
+  }
+
+  const outPdf = path.join(jobDir, "pub_exact_layout.pdf");
+  await makeMultiIdPdf(pairs, outPdf, renderOptions);
+  if (format === "pdf") {
+    await sendStoredDocument(chatId, outPdf, `${baseName}.pdf`);
+    return "PDF";
+  }
+
+  // Rasterising the finished PDF keeps marks, captions and calibration exactly as printed
+  const images = await rasterizePdf(outPdf, path.join(jobDir, "sheet"), { format, dpi: PRINT_DPI, lastPage: null });
+  const ext = format === "png" ? "png" : "jpg";
+  const entries = images.map((file, i) => ({ path: file, name: `${baseName}_page${i + 1}.${ext}` }));
+  if (entries.length > MAX_IMAGE_DOCUMENTS) {
+    const zipPath = await writeZip(entries, path.join(jobDir, "pages.zip"));
+    await sendStoredDocument(chatId, zipPath, `${baseName}_${format}.zip`);
+    return `ZIP with ${entries.length} ${format.toUpperCase()} page(s) at ${PRINT_DPI} DPI`;
+  }
+  // As documents, so Telegram doesn't recompress them
+  for (const entry of entries) {
+    await sendStoredDocument(chatId, entry.path, entry.name);
+  }
+  return `${entries.length} ${format.toUpperCase()} page(s) at ${PRINT_DPI} DPI`;
+}
+
+// Everything makeMultiIdPdf needs for this chat and orientation mode
+function getRenderOptions(chatId, mode) {
+  return {
+    flipImages: !!mode.flipImages,
+    swapSides: !!mode.swapSides,
+    duplex: mode.duplex || null,
+    profile: getLayoutProfile(getChatLayout(chatId)),
+    calibration: getChatCalibration(chatId),
+    printMarks: getChatPrintMarks(chatId),
+    captions: getChatCaptions(chatId)
+  };
+}
+
+const PREVIEW_ALBUM_SIZE = 10;
+
+async function sendPagePreviews(chatId, pairs, modeKey, job) {
+  const mode = PDF_MODES[modeKey];
+  const jobDir = path.join(ROOT, String(chatId), uuidv4());
+  ensureDir(jobDir);
+  job.jobDir = jobDir;
+
+  try {
+    const options = {
+      ...getRenderOptions(chatId, mode),
+      onProgress: (label, done, total) => reportJobProgress(job, label, done, total)
+    };
+    const files = await renderPagePreviews(await prepareRenderPairs(chatId, pairs, jobDir, options), jobDir, options);
+    // Telegram albums hold 2-10 items; a lone page goes out as a plain photo
+    for (let start = 0; start < files.length; start += PREVIEW_ALBUM_SIZE) {
+      const chunk = files.slice(start, start + PREVIEW_ALBUM_SIZE);
+      const media = await Promise.all(chunk.map((file) => readStoredImage(file)));
+      const fileOptions = { filename: "preview.png", contentType: "image/png" };
+      if (chunk.length === 1) {
+        await bot.sendPhoto(chatId, media[0], { caption: `Page ${start + 1}/${files.length}` }, fileOptions);
+      } else {
+        await bot.sendMediaGroup(
+          chatId,
+          media.map((input, i) => ({ type: "photo", media: input, fileOptions, caption: `Page ${start + i + 1}/${files.length}` }))
+        );
+      }
     }
+
+    await bot.sendMessage(chatId, `👁 Preview of ${pairs.length} ID(s), ${mode.label}. Looks right?`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: `📥 Generate PDF (${mode.label})`, callback_data: modeKey }],
+          [{ text: "👁 Preview another orientation", callback_data: "preview_menu" }]
+        ]
+      }
+    });
+  } finally {
+    await removeStoredDir(jobDir);
+  }
+}
+
+function createPreviewKeyboard() {
+  return {
+    inline_keyboard: Object.entries(PDF_MODES).map(([key, mode]) => [
+      { text: `👁 ${mode.label}`, callback_data: `preview_${key}` }
+    ])
+  };
+}
+
+// With `again` the buttons regenerate the last finished batch instead of the current one
+function createPdfOptionsKeyboard(format, { again = false, passwordSet = false } = {}) {
+  const prefix = again ? "again_" : "";
+  const formatButton = (key) => ({
+    text: `${key === format ? "✅ " : ""}${OUTPUT_FORMATS[key].button}`,
+    callback_data: `format_${key}${again ? "_again" : ""}`
   });
+  return {
+    inline_keyboard: [
+      [
+        { text: "📄 Normal", callback_data: `${prefix}pdf_normal` },
+        { text: "Reverse", callback_data: `${prefix}pdf_reverse` }
+      ],
+      [
+        { text: "🔄 Flip + Reverse", callback_data: `${prefix}pdf_flip` }
+      ],
+      [
+        { text: "🖨 Duplex (long edge)", callback_data: `${prefix}pdf_duplex_long` },
+        { text: "🖨 Duplex (short edge)", callback_data: `${prefix}pdf_duplex_short` }
+      ],
+      [formatButton("pdf"), formatButton("zip")],
+      ...(pdftoppmAvailable ? [[formatButton("png"), formatButton("jpeg")]] : []),
+      [
+        passwordSet
+          ? { text: "🔒 Password set (tap to remove)", callback_data: `pdfpw_clear${again ? "_again" : ""}` }
+          : { text: "🔒 Protect with password", callback_data: `pdfpw_set${again ? "_again" : ""}` }
+      ],
+      ...(again ? [] : [[{ text: "👁 Preview", callback_data: "preview_menu" }]])
+    ]
+  };
+}
 
-  return outPdf;
+/**
+ * The last finished batch if it can still be regenerated: not older than
+ * BATCH_KEEP_HOURS and all its images still on disk. Drops it otherwise.
+ */
+function getLastBatch(st) {
+  const batch = st.lastBatch;
+  if (!batch) return null;
+  const expired = Date.now() - batch.createdAt > BATCH_KEEP_HOURS * 60 * 60 * 1000;
+  if (expired || !batch.pairs.every((p) => fs.existsSync(p.front) && fs.existsSync(p.back))) {
+    st.lastBatch = null;
+    return null;
+  }
+  return batch;
 }
 
-async function makeMultiIdPdf(pairs, outPdf, flipImages = false, swapSides = false) {
-  const doc = new PDFDocument({ autoFirstPage: false });
-  const pairsPerPage = 5;
-  const totalPages = Math.ceil(pairs.length / pairsPerPage);
+async function sendRegenerateOptions(chatId, st) {
+  const batch = getLastBatch(st);
+  if (!batch) {
+    await bot.sendMessage(chatId, "⚠️ The last batch is no longer kept. Please send the images again and use /pdf.");
+    return;
+  }
+  const profile = getLayoutProfile(getChatLayout(chatId));
+  const format = getChatOutputFormat(chatId);
+  const expiresAt = new Date(batch.createdAt + BATCH_KEEP_HOURS * 60 * 60 * 1000);
+  await bot.sendMessage(
+    chatId,
+    `🔁 Regenerate the last batch (${batch.pairs.length} ID(s)), kept until ${expiresAt.toISOString().slice(0, 16).replace("T", " ")} UTC.\n📐 Layout: ${profile.label} (/layout to change first)\n📦 Output: ${OUTPUT_FORMATS[format].label}\n\nChoose orientation:`,
+    { reply_markup: createPdfOptionsKeyboard(format, { again: true, passwordSet: !!st.pdfPassword }) }
+  );
+}
+
+async function sendPdfOptions(chatId, pairs) {
+  const profile = getLayoutProfile(getChatLayout(chatId));
+  const perPage = getPairsPerPage(profile);
+  const duplexPerSheet = computeCardSlots(profile).length;
+  const format = getChatOutputFormat(chatId);
+
+  // Orientation buttons, then output format and password toggles
+  const keyboard = createPdfOptionsKeyboard(format, { passwordSet: !!getState(chatId).pdfPassword });
+
+  await bot.sendMessage(
+    chatId,
+    `📋 Ready to generate PDF with ${pairs.length} ID(s).\n📐 Layout: ${profile.label} (/layout to change)\n\nChoose orientation:\nNormal = front left, back right\nReverse = back left, front right\nFlip + Reverse = mirror images + swap sides\nDuplex = fronts on odd pages, backs on even pages (${duplexPerSheet} IDs per sheet) for double-sided printing\n\n📄 Multi-page auto-generated if more than ${perPage} IDs.\n📦 Output: ${OUTPUT_FORMATS[format].label} (tap a format to change)`,
+    { reply_markup: keyboard }
+  );
+}
+
+function createLayoutKeyboard(current) {
+  return {
+    inline_keyboard: Object.entries(LAYOUT_PROFILES).map(([name, profile]) => [
+      { text: `${name === current ? "✅ " : ""}${profile.label}`, callback_data: `layout_${name}` }
+    ])
+  };
+}
+
+function describeLayout(profile) {
+  const perPage = getPairsPerPage(profile);
+  const widthMm = (profile.pageWpt / MM).toFixed(0);
+  const heightMm = (profile.pageHpt / MM).toFixed(0);
+  return `${profile.label}: ${widthMm}×${heightMm}mm page, ${perPage} ID(s) per ${profile.sides === "pages" ? "front/back page pair" : "page"}`;
+}
+
+const REORDER_MAX_ROWS = 40;
+
+function describeGroup(group) {
+  const fronts = group.filter((img) => img.type === "front").length;
+  const backs = group.filter((img) => img.type === "back").length;
+  return `${fronts}F ${backs}B`;
+}
+
+function createReorderView(st) {
+  const groups = st.imageGroups || [];
+  const rows = [];
+  const lines = [];
+  groups.forEach((group, idx) => {
+    if (group.length === 0) return;
+    const name = getGroupName(st, idx);
+    lines.push(`ID #${idx + 1}${name ? ` "${name}"` : ""}: ${describeGroup(group)}`);
+    if (rows.length >= REORDER_MAX_ROWS) return;
+    rows.push([
+      { text: `#${idx + 1} · ${name ? `${name.slice(0, 16)} · ` : ""}${describeGroup(group)}`, callback_data: "reorder_noop" },
+      { text: "⬆️", callback_data: `reorder_up_${idx}` },
+      { text: "⬇️", callback_data: `reorder_down_${idx}` }
+    ]);
+  });
+  rows.push([{ text: "✅ Done", callback_data: "reorder_done" }]);
+
+  let text = "↕️ **Reorder IDs**\n\nPDF order, top to bottom:\n" + (lines.join("\n") || "(no IDs yet)");
+  if (lines.length > REORDER_MAX_ROWS) text += `\n\nOnly the first ${REORDER_MAX_ROWS} have buttons; use /move <from> <to> for the rest.`;
+  return { text, keyboard: { inline_keyboard: rows } };
+}
+
+/* ==========================
+   Albums (media groups)
+   ========================== */
+
+// Telegram delivers album items as separate updates; wait this long after the last one
+const ALBUM_SETTLE_MS = 1500;
+const albumBuffers = new Map();
+
+function collectAlbumItem(chatId, mediaGroupId, item) {
+  // Failures are reported in the album summary, not as unhandled rejections
+  item.download.catch(() => {});
+
+  const key = `${chatId}:${mediaGroupId}`;
+  let album = albumBuffers.get(key);
+  if (!album) {
+    album = { items: [], timer: null };
+    albumBuffers.set(key, album);
+  }
+  album.items.push(item);
+
+  clearTimeout(album.timer);
+  album.timer = setTimeout(() => {
+    albumBuffers.delete(key);
+    processAlbum(chatId, album.items).catch((e) => {
+      console.error(`Album processing failed for ${chatId}: ${e.message}`);
+    });
+  }, ALBUM_SETTLE_MS);
+}
+
+/**
+ * Turn a complete album into ID groups: items in message order, each
+ * consecutive pair becomes front + back of a new group. An odd last item is
+ * left untagged in the pending queue.
+ */
+async function processAlbum(chatId, items) {
+  const st = getState(chatId);
+
+  await queueLabel(st, async () => {
+    items.sort((a, b) => a.seq - b.seq);
+    const results = await Promise.allSettled(items.map((item) => item.download));
+    const ok = (i) => results[i].status === "fulfilled";
+    const ready = items.filter((_, i) => ok(i));
+    const failed = items.length - ready.length;
+
+    // Pairs follow the album order, so a failed download only affects its own pair
+    const groupNumbers = [];
+    const brokenPairs = [];
+    for (let i = 0; i + 1 < items.length; i += 2) {
+      if (ok(i) && ok(i + 1)) {
+        if ((st.imageGroups?.[st.currentGroup || 0] || []).length > 0) startNextGroup(st);
+        addLabeledImage(st, "front", items[i].path, items[i].seq);
+        addLabeledImage(st, "back", items[i + 1].path, items[i + 1].seq);
+        groupNumbers.push((st.currentGroup || 0) + 1);
+        continue;
+      }
+      const survivor = ok(i) ? items[i] : ok(i + 1) ? items[i + 1] : null;
+      if (survivor) {
+        queuePendingImage(st, survivor.path, survivor.seq);
+        st.lastImagePath = survivor.path;
+        st.lastImageOrder = survivor.seq;
+      }
+      brokenPairs.push({ first: i + 1, survivor: survivor ? items.indexOf(survivor) + 1 : null });
+    }
+
+    const last = items.length - 1;
+    const leftover = items.length % 2 === 1 && ok(last) ? items[last] : null;
+    const sequential = isSequentialMode(chatId);
+    if (leftover) {
+      queuePendingImage(st, leftover.path, leftover.seq);
+      st.lastImagePath = leftover.path;
+      st.lastImageOrder = leftover.seq;
+      // In sequential mode the odd one out simply starts the next ID
+      if (sequential) await labelNextSequential(chatId, st, { quiet: true });
+    }
+
+    if (groupNumbers.length > 0 || (leftover && sequential)) {
+      await showTemplateUI(chatId, st);
+    } else {
+      persistSession(chatId);
+    }
+
+    const { frontCount, backCount } = countTemplates(st);
+    const lines = [`📚 Album received: ${ready.length} image(s).`];
+    if (groupNumbers.length > 0) {
+      lines.push(`✅ Paired as front + back: ID #${groupNumbers.join(", #")}`);
+    }
+    if (leftover) {
+      lines.push(sequential
+        ? `➡️ Last image used as FRONT of ID #${(st.currentGroup || 0) + 1}; send its back next.`
+        : "⚠️ Odd image left untagged - type front/back for it.");
+    }
+    for (const { first, survivor } of brokenPairs) {
+      lines.push(survivor
+        ? `⚠️ Images ${first} + ${first + 1} not paired: image ${survivor === first ? first + 1 : first} failed to download. Image ${survivor} is left untagged - type front/back for it.`
+        : `⚠️ Images ${first} + ${first + 1} not paired: both failed to download.`);
+    }
+    if (failed > 0) lines.push(`❌ ${failed} image(s) failed to download, please send them again.`);
+    lines.push(`Total: ${frontCount} fronts, ${backCount} backs. /pdf`);
+    await bot.sendMessage(chatId, lines.join("\n"));
+  });
+
+  if (getChatSettings(chatId).autoCrop) {
+    for (const item of items) {
+      if (fs.existsSync(item.path)) await offerAutoCrop(chatId, st, item.path, item.seq);
+    }
+  }
+}
+
+/* ==========================
+   ZIP import
+   ========================== */
+
+const ZIP_LIMITS = {
+  maxEntries: 500,
+  maxEntryBytes: 20 * 1024 * 1024,
+  maxTotalBytes: 300 * 1024 * 1024,
+  // Real photos barely compress; a huge ratio means a zip bomb
+  maxRatio: 100
+};
+const ZIP_IMAGE_EXTENSIONS = new Set([".png", ".jpg", ".jpeg", ".webp"]);
+
+async function openZip(zipPath) {
+  // Encrypted archives are read from memory, never decrypted to disk
+  const buffer = storageKey ? await readStoredFile(zipPath) : null;
+  return new Promise((resolve, reject) => {
+    const opened = (err, zipfile) => {
+      if (err) return reject(err);
+      resolve(zipfile);
+    };
+    // yauzl refuses absolute and "../" entry names, which rejects the whole archive
+    if (buffer) yauzl.fromBuffer(buffer, { lazyEntries: true }, opened);
+    else yauzl.open(zipPath, { lazyEntries: true }, opened);
+  });
+}
 
+async function writeZipEntry(zipfile, entry, outPath, budget) {
+  const stream = await new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, s) => (err ? reject(err) : resolve(s)));
+  });
+  let written = 0;
+  // Count real bytes too: the sizes in the header are whatever the sender wrote
+  stream.on("data", (chunk) => {
+    written += chunk.length;
+    budget.bytes += chunk.length;
+    if (written > ZIP_LIMITS.maxEntryBytes || budget.bytes > ZIP_LIMITS.maxTotalBytes) {
+      stream.destroy(new Error("archive is larger than allowed"));
+    }
+  });
+  if (storageKey) {
+    // Entries are capped at ZIP_LIMITS.maxEntryBytes, so they can be encrypted in memory
+    const chunks = [];
+    await new Promise((resolve, reject) => {
+      stream.on("error", reject);
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("end", resolve);
+    });
+    await writeStoredFile(outPath, Buffer.concat(chunks));
+    return;
+  }
   await new Promise((resolve, reject) => {
-    const stream = fs.createWriteStream(outPdf);
-    doc.pipe(stream);
-    stream.on("finish", resolve);
+    const out = fs.createWriteStream(outPath);
     stream.on("error", reject);
+    out.on("error", reject);
+    out.on("finish", resolve);
+    stream.pipe(out);
+  });
+}
 
-    try {
-      for (let page = 0; page < totalPages; page++) {
-        // Add a new page for each page (including the first one)
-        doc.addPage({ size: [LAYOUT.pageWpt, LAYOUT.pageHpt], margin: 0 });
-        
-        // Calculate the start and end indices for pairs on this page
-        const startIndex = page * pairsPerPage;
-        const endIndex = Math.min(startIndex + pairsPerPage, pairs.length);
-        const pagePairs = pairs.slice(startIndex, endIndex);
-        const count = pagePairs.length;
-
-        // All IDs use single column layout (vertical stack)
-        const cols = 1;
-
-        const firstFrontX = swapSides ? LAYOUT.backBox.x : LAYOUT.frontBox.x;
-        const firstBackX = swapSides ? LAYOUT.frontBox.x : LAYOUT.backBox.x;
-        const backYOffset = 0;
-
-        // Row spacing: first row at top with 21.3pt spacing, 1.41mm vertical gap between rows
-        const topMargin = 21.3;
-        const rowGap = 1.41 * 72 / 25.4;
-        const rowStep = LAYOUT.backBox.h + rowGap;
-        const verticalPositions = Array.from({ length: 5 }, (_, i) => topMargin + (i * rowStep));
-        const horizontalSpacing = LAYOUT.pageWpt / cols;
-
-        for (let i = 0; i < count; i++) {
-          // For vertical ordering (column-major): fill columns top-to-bottom
-          // Calculate rows per column
-          const rowsPerCol = Math.ceil(count / cols);
-          const col = Math.floor(i / rowsPerCol);
-          const row = i % rowsPerCol;
-
-          // Use absolute positions with column offset
-          const frontX = firstFrontX + (col * horizontalSpacing);
-          const backX = firstBackX + (col * horizontalSpacing);
-          const topY = verticalPositions[row] ?? verticalPositions[verticalPositions.length - 1];
-          const frontY = topY;
-          const backY = topY + backYOffset;
-
-          // FRONT
-          const frontOptions = {
-            width: LAYOUT.frontBox.w,
-            height: LAYOUT.frontBox.h
-          };
-          if (flipImages) {
-            doc.save();
-            doc.translate(frontX + LAYOUT.frontBox.w, frontY);
-            doc.scale(-1, 1);  // Flip horizontally
-            doc.image(pagePairs[i].front, 0, 0, frontOptions);
-            doc.restore();
-          } else {
-            doc.image(pagePairs[i].front, frontX, frontY, frontOptions);
-          }
+/**
+ * Extract the images of an archive into outDir under generated names, so
+ * nothing from the archive decides where files land. Returns
+ * { images: [{ name, path }], skipped: [reason strings] }.
+ */
+async function extractZipImages(zipPath, outDir) {
+  const zipfile = await openZip(zipPath);
+  if (zipfile.entryCount > ZIP_LIMITS.maxEntries) {
+    zipfile.close();
+    throw new Error(`archive has ${zipfile.entryCount} entries (max ${ZIP_LIMITS.maxEntries})`);
+  }
+
+  ensureDir(outDir);
+  const images = [];
+  const skipped = [];
+  const budget = { bytes: 0 };
 
-          // BACK
-          const backOptions = {
-            width: LAYOUT.backBox.w,
-            height: LAYOUT.backBox.h
-          };
-          if (flipImages) {
-            doc.save();
-            doc.translate(backX + LAYOUT.backBox.w, backY);
-            doc.scale(-1, 1);  // Flip horizontally
-            doc.image(pagePairs[i].back, 0, 0, backOptions);
-            doc.restore();
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on("end", resolve);
+      zipfile.on("error", reject);
+      zipfile.on("entry", async (entry) => {
+        try {
+          const name = entry.fileName;
+          const base = path.posix.basename(name);
+          const ext = path.extname(base).toLowerCase();
+
+          if (name.endsWith("/") || name.startsWith("__MACOSX/") || base.startsWith(".")) {
+            // Folders and macOS metadata
+          } else if (!ZIP_IMAGE_EXTENSIONS.has(ext)) {
+            skipped.push(`${name}: not an image`);
+          } else if (entry.uncompressedSize > ZIP_LIMITS.maxEntryBytes) {
+            skipped.push(`${name}: too large`);
+          } else if (entry.compressedSize > 0 && entry.uncompressedSize / entry.compressedSize > ZIP_LIMITS.maxRatio) {
+            throw new Error(`${name} is suspiciously compressed`);
+          } else if (budget.bytes + entry.uncompressedSize > ZIP_LIMITS.maxTotalBytes) {
+            throw new Error("archive is larger than allowed");
           } else {
-            doc.image(pagePairs[i].back, backX, backY, backOptions);
+            const outPath = path.join(outDir, `${String(images.length + 1).padStart(4, "0")}${ext === ".jpeg" ? ".jpg" : ext}`);
+            await writeZipEntry(zipfile, entry, outPath, budget);
+            images.push({ name, path: outPath });
           }
+          zipfile.readEntry();
+        } catch (e) {
+          reject(e);
         }
-      }
+      });
+      zipfile.readEntry();
+    });
+  } finally {
+    zipfile.close();
+  }
 
-      doc.end();
-    } catch (e) {
-      reject(e);
+  return { images, skipped };
+}
+
+const naturalCompare = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }).compare;
+
+/**
+ * Pair extracted images into IDs by name:
+ *   123_front.jpg + 123_back.jpg (also "-", "." or space before the side)
+ *   folder/front.jpg + folder/back.jpg, or a folder holding exactly two images
+ *   (first by name is the front); front.jpg + back.jpg at the top level pair
+ *   under the empty key, which leaves the group unnamed
+ * Returns { pairs: [{ key, front, back }], unmatched: [reason strings] } in natural key order.
+ */
+function pairZipImages(images) {
+  const keyed = new Map();
+  const loose = new Map();
+  const unmatched = [];
+
+  for (const img of images) {
+    const dir = path.posix.dirname(img.name);
+    const stem = path.posix.basename(img.name, path.posix.extname(img.name));
+    const match = stem.match(/^(.*?)[\s._-]*(front|back)$/i);
+    if (match) {
+      const key = [dir === "." ? "" : dir, match[1]].filter(Boolean).join("/");
+      if (!keyed.has(key)) keyed.set(key, {});
+      const entry = keyed.get(key);
+      const side = match[2].toLowerCase();
+      if (entry[side]) unmatched.push(`${img.name}: duplicate ${side} for ${key || "the top level"}`);
+      else entry[side] = img;
+    } else if (dir !== ".") {
+      if (!loose.has(dir)) loose.set(dir, []);
+      loose.get(dir).push(img);
+    } else {
+      unmatched.push(`${img.name}: name has no front/back`);
+    }
+  }
+
+  const pairs = [];
+  for (const [key, entry] of keyed) {
+    if (entry.front && entry.back) pairs.push({ key, front: entry.front, back: entry.back });
+    else unmatched.push(`${(entry.front || entry.back).name}: no matching ${entry.front ? "back" : "front"}`);
+  }
+  for (const [dir, list] of loose) {
+    if (list.length === 2 && !keyed.has(dir)) {
+      const [front, back] = [...list].sort((a, b) => naturalCompare(a.name, b.name));
+      pairs.push({ key: dir, front, back });
+    } else {
+      for (const img of list) unmatched.push(`${img.name}: can't tell front from back`);
+    }
+  }
+
+  pairs.sort((a, b) => naturalCompare(a.key, b.key));
+  return { pairs, unmatched };
+}
+
+/**
+ * Import every front/back pair of an uploaded archive as its own ID group and
+ * report what could not be paired.
+ */
+async function importZipArchive(chatId, zipPath, order) {
+  const st = getState(chatId);
+  const outDir = path.join(ROOT, String(chatId), `zip_${uuidv4()}`);
+  let extracted;
+  try {
+    extracted = await extractZipImages(zipPath, outDir);
+  } catch (e) {
+    await fs.promises.rm(outDir, { recursive: true, force: true });
+    throw e;
+  }
+  const { images, skipped } = extracted;
+  const { pairs, unmatched } = pairZipImages(images);
+
+  // Extracted files that ended up in no pair are not needed
+  const used = new Set(pairs.flatMap((pair) => [pair.front.path, pair.back.path]));
+  for (const img of images) {
+    if (!used.has(img.path)) await fs.promises.rm(img.path, { force: true });
+  }
+  if (pairs.length === 0) await fs.promises.rm(outDir, { recursive: true, force: true });
+
+  await queueLabel(st, async () => {
+    const groupNumbers = [];
+    pairs.forEach((pair, i) => {
+      // The file or folder name names the group, like a separator text would
+      if ((st.imageGroups?.[st.currentGroup || 0] || []).length > 0) startNextGroup(st, pair.key);
+      else setGroupName(st, st.currentGroup || 0, pair.key);
+      // Fractional seqs keep archive order within the upload's message slot
+      const seq = order + (2 * i + 1) / 10000;
+      addLabeledImage(st, "front", pair.front.path, seq);
+      addLabeledImage(st, "back", pair.back.path, seq + 1 / 10000);
+      groupNumbers.push((st.currentGroup || 0) + 1);
+    });
+    if (groupNumbers.length > 0) await showTemplateUI(chatId, st);
+
+    const problems = [...skipped, ...unmatched];
+    const { frontCount, backCount } = countTemplates(st);
+    const lines = [`🗜 Archive received: ${images.length} image(s).`];
+    if (groupNumbers.length > 0) {
+      lines.push(`✅ Imported ${groupNumbers.length} ID(s): #${groupNumbers.join(", #")}`);
+      lines.push(...pairs.map((pair, i) => `#${groupNumbers[i]} ${pair.key || "(top level)"}`));
+    } else {
+      lines.push("❌ No front/back pairs found. Name files like 123_front.jpg and 123_back.jpg, or put each person in a folder.");
+    }
+    if (problems.length > 0) {
+      lines.push("", `⚠️ Not imported (${problems.length}):`);
+      lines.push(...problems.slice(0, 30).map((p) => `- ${p}`));
+      if (problems.length > 30) lines.push(`...and ${problems.length - 30} more`);
     }
+    lines.push(`Total: ${frontCount} fronts, ${backCount} backs. /pdf`);
+    await bot.sendMessage(chatId, lines.join("\n"));
   });
+}
 
-  return outPdf;
+/* ==========================
+   PDF, HEIC and TIFF uploads
+   ========================== */
+
+const PDF_RASTER_DPI = 300;
+const PDF_MAX_PAGES = 20;
+const CONVERTIBLE_IMAGE_EXTENSIONS = [".heic", ".heif", ".tif", ".tiff"];
+
+/**
+ * Download a HEIC/TIFF document and store it as JPEG so the rest of the bot
+ * only ever sees formats Telegram and pdfkit handle.
+ */
+async function downloadAndConvertImage(fileId, outPath) {
+  const rawPath = `${outPath}.src`;
+  try {
+    await downloadTelegramFile(fileId, rawPath, { stored: true });
+    try {
+      // Only the first page/frame of multi-page TIFFs
+      await writeStoredImage(sharp(await readStoredImage(rawPath)).rotate().flatten({ background: "#ffffff" }).jpeg({ quality: 92 }), outPath);
+    } catch (e) {
+      throw new Error(`could not convert the file (${e.message})`);
+    }
+    return outPath;
+  } finally {
+    await fs.promises.rm(rawPath, { force: true });
+  }
 }
 
-/* ======================
-   3) Telegram bot logic
-   ====================== */
+// Set at startup; poppler is optional, see DEPLOYMENT.md
+let pdftoppmAvailable = false;
 
-bot.onText(/\/start/, async (msg) => {
-  const chatId = msg.chat.id;
-  registerChatId(chatId);
-  state.set(chatId, {
-    pairs: [],
-    fronts: [],
-    backs: [],
-    currentGroup: 0,
-    imageGroups: [[]],
-    lastImagePath: null,
-    lastImageOrder: null,
-    pendingImages: [],
-    awaitingNews: false,
-    uiShown: false,
-    uiMessageId: null
+function detectPdftoppm() {
+  return new Promise((resolve) => {
+    // Only a missing binary counts; older poppler versions exit non-zero on -v
+    execFile("pdftoppm", ["-v"], { timeout: 10000 }, (err) => resolve(err?.code !== "ENOENT"));
   });
+}
+
+// Rasterise pages with poppler; returns the page images in page order
+async function rasterizePdf(pdfPath, outPrefix, { format = "jpeg", dpi = PDF_RASTER_DPI, lastPage = PDF_MAX_PAGES } = {}) {
+  const formatArgs = format === "png" ? ["-png"] : ["-jpeg", "-jpegopt", "quality=92"];
+  const pageArgs = lastPage ? ["-l", String(lastPage)] : [];
+  await withPlainFile(pdfPath, (plainPath) =>
+    run("pdftoppm", [...formatArgs, "-r", String(dpi), ...pageArgs, plainPath, outPrefix], { timeout: 300000 })
+  );
+  const dir = path.dirname(outPrefix);
+  const base = `${path.basename(outPrefix)}-`;
+  const ext = format === "png" ? ".png" : ".jpg";
+  const pages = fs.readdirSync(dir)
+    .filter((name) => name.startsWith(base) && name.endsWith(ext))
+    .sort((a, b) => parseInt(a.slice(base.length)) - parseInt(b.slice(base.length)))
+    .map((name) => path.join(dir, name));
+  for (const page of pages) await sealStoredFile(page);
+  return pages;
+}
+
+/**
+ * Turn every page of an uploaded PDF into an image and queue it like a
+ * normal upload: labelled in sequential mode, by caption for a single page,
+ * otherwise waiting for front/back with a thumbnail per page to tag.
+ */
+async function importPdfDocument(chatId, st, fileId, order, caption) {
+  const userDir = path.join(ROOT, String(chatId));
+  ensureDir(userDir);
+  const pdfPath = path.join(userDir, `${order}_${uuidv4()}.pdf`);
+
+  let pages;
+  try {
+    await downloadTelegramFile(fileId, pdfPath, { stored: true });
+    // One page more than used, so a PDF of exactly PDF_MAX_PAGES pages isn't reported as cut
+    pages = await rasterizePdf(pdfPath, path.join(userDir, `upload_${order}_${uuidv4()}`), { lastPage: PDF_MAX_PAGES + 1 });
+  } finally {
+    await fs.promises.rm(pdfPath, { force: true });
+  }
+  if (pages.length === 0) throw new Error("the PDF has no pages");
+
+  const truncated = pages.length > PDF_MAX_PAGES;
+  for (const extra of pages.splice(PDF_MAX_PAGES)) await fs.promises.rm(extra, { force: true });
+  const limitNote = truncated ? ` (only the first ${PDF_MAX_PAGES} are used)` : "";
+  // Pages share the message slot, in page order
+  const seqs = pages.map((_, i) => order + i / 100);
+  await bot.sendMessage(chatId, `📄 PDF converted: ${pages.length} page(s)${limitNote}.`);
+
+  if (isSequentialMode(chatId)) {
+    pages.forEach((page, i) => queuePendingImage(st, page, seqs[i]));
+    for (let i = 0; i < pages.length; i++) {
+      await queueLabel(st, () => labelNextSequential(chatId, st, { quiet: i < pages.length - 1 }));
+    }
+  } else {
+    const side = caption.includes("front") ? "front" : caption.includes("back") ? "back" : null;
+    if (side && pages.length === 1) {
+      const { frontCount, backCount } = addLabeledImage(st, side, pages[0], seqs[0]);
+      await showTemplateUI(chatId, st);
+      await bot.sendMessage(chatId, `✅ ${side.toUpperCase()} #${side === "front" ? frontCount : backCount}. Total: ${frontCount} fronts, ${backCount} backs. /pdf`);
+    } else {
+      pages.forEach((page, i) => queuePendingImage(st, page, seqs[i]));
+      st.lastImagePath = pages[pages.length - 1];
+      st.lastImageOrder = seqs[pages.length - 1];
+      persistSession(chatId);
+      for (let i = 0; i < pages.length; i++) {
+        const receipt = await sendImageThumbnail(
+          chatId,
+          pages[i],
+          `Page ${i + 1}/${pages.length}. Type front/back, reply to this page, or tap:`,
+          { reply_markup: createTagKeyboard(seqs[i]) }
+        );
+        rememberTagReceipt(chatId, st, receipt, seqs[i]);
+      }
+    }
+  }
+
+  if (getChatSettings(chatId).autoCrop) {
+    for (let i = 0; i < pages.length; i++) {
+      if (fs.existsSync(pages[i])) await offerAutoCrop(chatId, st, pages[i], seqs[i]);
+    }
+  }
+}
+
+async function broadcastNews(message) {
+  const chatIds = Array.from(knownChats);
+  let sent = 0;
+  let failed = 0;
+
+  for (const id of chatIds) {
+    try {
+      await bot.sendMessage(id, message);
+      sent += 1;
+    } catch (e) {
+      failed += 1;
+    }
+  }
+
+  return { sent, failed, total: chatIds.length };
+}
+
+// With `stored` the file is an upload and gets encrypted in encrypted mode
+async function downloadTelegramFile(fileId, outPath, { stored = false, maxRetries = 3 } = {}) {
+  let lastError;
+
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      const link = await bot.getFileLink(fileId);
+      const res = await fetch(link);
+      if (!res.ok) throw new Error("Failed to download file from Telegram");
+      const buf = Buffer.from(await res.arrayBuffer());
+      if (stored) await writeStoredFile(outPath, buf);
+      else await fs.promises.writeFile(outPath, buf);
+      return outPath;
+    } catch (error) {
+      lastError = error;
+
+      if (attempt < maxRetries - 1) {
+        const delay = Math.min(1000 * Math.pow(2, attempt), 5000);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw new Error(`Download failed after ${maxRetries} attempts: ${lastError.message}`);
+}
+
+/* ==========================
+   Encryption at rest
+   ========================== */
+
+// Files start with this marker, so plaintext files from before STORAGE_KEY was set stay readable
+const ENCRYPTED_FILE_MAGIC = Buffer.from("IDBOTENC1");
+const ENCRYPTION_IV_BYTES = 12;
+const ENCRYPTION_TAG_BYTES = 16;
+const storageKey = STORAGE_KEY ? crypto.scryptSync(STORAGE_KEY, "id-bot-storage", 32) : null;
+
+const STORED_CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg"
+};
+
+function isEncryptedBuffer(buf) {
+  return buf.length >= ENCRYPTED_FILE_MAGIC.length + ENCRYPTION_IV_BYTES + ENCRYPTION_TAG_BYTES &&
+    buf.subarray(0, ENCRYPTED_FILE_MAGIC.length).equals(ENCRYPTED_FILE_MAGIC);
+}
+
+// AES-256-GCM: marker, IV, auth tag, ciphertext
+function encryptBuffer(buf) {
+  const iv = crypto.randomBytes(ENCRYPTION_IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", storageKey, iv);
+  const data = Buffer.concat([cipher.update(buf), cipher.final()]);
+  return Buffer.concat([ENCRYPTED_FILE_MAGIC, iv, cipher.getAuthTag(), data]);
+}
+
+function decryptBuffer(buf) {
+  if (!storageKey) throw new Error("file is encrypted but STORAGE_KEY is not set");
+  const ivStart = ENCRYPTED_FILE_MAGIC.length;
+  const tagStart = ivStart + ENCRYPTION_IV_BYTES;
+  const dataStart = tagStart + ENCRYPTION_TAG_BYTES;
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", storageKey, buf.subarray(ivStart, tagStart));
+    decipher.setAuthTag(buf.subarray(tagStart, dataStart));
+    return Buffer.concat([decipher.update(buf.subarray(dataStart)), decipher.final()]);
+  } catch (e) {
+    throw new Error("could not decrypt a stored file (was STORAGE_KEY changed?)");
+  }
+}
+
+async function readStoredFile(filePath) {
+  const buf = await fs.promises.readFile(filePath);
+  return isEncryptedBuffer(buf) ? decryptBuffer(buf) : buf;
+}
+
+// Input for sharp or pdfkit: the path itself, or the decrypted contents in encrypted mode
+async function readStoredImage(filePath) {
+  return storageKey ? readStoredFile(filePath) : filePath;
+}
+
+async function writeStoredFile(filePath, buf) {
+  await fs.promises.writeFile(filePath, storageKey ? encryptBuffer(buf) : buf);
+  return filePath;
+}
+
+// Replaces sharp's toFile() for anything derived from an upload
+async function writeStoredImage(pipeline, filePath) {
+  if (!storageKey) {
+    await pipeline.toFile(filePath);
+    return filePath;
+  }
+  return writeStoredFile(filePath, await pipeline.toBuffer());
+}
+
+// Encrypt a file an external tool just wrote in plaintext
+async function sealStoredFile(filePath) {
+  if (!storageKey) return;
+  const buf = await fs.promises.readFile(filePath);
+  if (isEncryptedBuffer(buf)) return;
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, encryptBuffer(buf));
+  await fs.promises.rename(tmp, filePath);
+  buf.fill(0);
+}
+
+/**
+ * Best-effort wipe: overwrite with random bytes before unlinking. Journaling
+ * filesystems and SSDs may still keep old blocks, which is why stored files
+ * are encrypted in the first place.
+ */
+async function secureDelete(filePath) {
+  try {
+    const { size } = await fs.promises.stat(filePath);
+    const handle = await fs.promises.open(filePath, "r+");
+    try {
+      for (let offset = 0; offset < size; offset += 1024 * 1024) {
+        await handle.write(crypto.randomBytes(Math.min(1024 * 1024, size - offset)), 0, undefined, offset);
+      }
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error(`Secure delete of ${filePath} failed: ${e.message}`);
+  }
+  await fs.promises.rm(filePath, { force: true });
+}
+
+async function removeStoredDir(dir) {
+  if (storageKey) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) await removeStoredDir(full);
+      else await secureDelete(full);
+    }
+  }
+  await fs.promises.rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Run fn on a plaintext copy of a stored file, for external tools like
+ * pdftoppm and yauzl that read from disk. The copy is wiped afterwards.
+ */
+async function withPlainFile(filePath, fn) {
+  if (!storageKey) return fn(filePath);
+  const plainPath = `${filePath}.${uuidv4()}.plain`;
+  await fs.promises.writeFile(plainPath, await readStoredFile(filePath), { mode: 0o600 });
+  try {
+    return await fn(plainPath);
+  } finally {
+    await secureDelete(plainPath);
+  }
+}
+
+/**
+ * Send a job's output file. In encrypted mode it is decrypted in memory and
+ * wiped from disk once Telegram has accepted the upload.
+ */
+async function sendStoredDocument(chatId, filePath, filename) {
+  if (!storageKey) return bot.sendDocument(chatId, filePath, {}, { filename });
+  const contentType = STORED_CONTENT_TYPES[path.extname(filename).toLowerCase()] || "application/octet-stream";
+  const sent = await bot.sendDocument(chatId, await readStoredFile(filePath), {}, { filename, contentType });
+  await secureDelete(filePath);
+  return sent;
+}
+
+
+/* ==========================
+   Print resolution
+   ========================== */
+
+// Images are resampled to this before going into a PDF
+const PRINT_DPI = 300;
+// Below this an ID visibly blurs when printed at card size
+const LOW_DPI_WARNING = 150;
+
+// Pixel size as displayed, i.e. after the EXIF rotation
+async function getDisplaySize(imgPath) {
+  const meta = await sharp(await readStoredImage(imgPath)).metadata();
+  const swap = (meta.orientation || 1) >= 5;
+  return { width: swap ? meta.height : meta.width, height: swap ? meta.width : meta.height };
+}
+
+// Images are stretched over the whole card box, so the weaker axis decides
+function effectiveDpi(size, card) {
+  return Math.floor(Math.min(size.width / (card.w / 72), size.height / (card.h / 72)));
+}
+
+/**
+ * Tell the user about newly labelled images too small to print sharply at
+ * the chat's card size. Each image is checked once.
+ */
+async function warnLowResolution(chatId, st) {
+  const { card } = getLayoutProfile(getChatLayout(chatId));
+  const warnings = [];
+
+  for (const [groupIdx, group] of (st.imageGroups || []).entries()) {
+    for (const item of group || []) {
+      if (item.dpiChecked) continue;
+      item.dpiChecked = true;
+      try {
+        const size = await getDisplaySize(item.path);
+        const dpi = effectiveDpi(size, card);
+        if (dpi < LOW_DPI_WARNING) {
+          warnings.push(`ID #${groupIdx + 1} ${item.type}: ${size.width}×${size.height}px ≈ ${dpi} DPI`);
+        }
+      } catch (e) {
+        console.error(`Resolution check failed for ${item.path}: ${e.message}`);
+      }
+    }
+  }
+
+  if (warnings.length === 0) return;
+  const minW = Math.ceil((card.w / 72) * LOW_DPI_WARNING);
+  const minH = Math.ceil((card.h / 72) * LOW_DPI_WARNING);
+  await bot.sendMessage(
+    chatId,
+    [
+      "⚠️ Low resolution - these will print blurry:",
+      ...warnings,
+      "",
+      `Aim for at least ${minW}×${minH}px per side. Send the image as a file instead of a compressed photo, or replace it (/remove, then send again).`
+    ].join("\n")
+  );
+}
+
+/**
+ * Resample every image to PRINT_DPI at its printed size (card plus bleed) and
+ * recompress as JPEG, so PDF size and memory use don't depend on the camera.
+ * Images already below the target are never enlarged.
+ */
+async function prepareImagesForPrint(pairs, jobDir, options = {}) {
+  const { profile = getLayoutProfile(), printMarks = null } = options;
+  const bleed = getPrintBleed(profile, printMarks);
+  const targetW = Math.round(((profile.card.w + bleed * 2) / 72) * PRINT_DPI);
+  const targetH = Math.round(((profile.card.h + bleed * 2) / 72) * PRINT_DPI);
+
+  const resample = async (imgPath, outPath) => {
+    const size = await getDisplaySize(imgPath);
+    const pipeline = sharp(await readStoredImage(imgPath))
+      .rotate()
+      .resize(Math.min(size.width, targetW), Math.min(size.height, targetH), { fit: "fill" })
+      // Transparent PNGs would otherwise turn black in the JPEG
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: 88, mozjpeg: true });
+    return writeStoredImage(pipeline, outPath);
+  };
+
+  const prepared = [];
+  for (let i = 0; i < pairs.length; i++) {
+    prepared.push({
+      ...pairs[i],
+      front: await resample(pairs[i].front, path.join(jobDir, `front_${i}_print.jpg`)),
+      back: await resample(pairs[i].back, path.join(jobDir, `back_${i}_print.jpg`))
+    });
+    await options.onProgress?.("Preparing images", i + 1, pairs.length);
+  }
+  return prepared;
+}
+
+/* ==========================
+   Overlays and watermarks
+   ========================== */
+
+const OVERLAY_DIR = path.join(ROOT, "overlays");
+// Position names map to sharp gravities
+const OVERLAY_POSITIONS = {
+  "top-left": "northwest",
+  top: "north",
+  "top-right": "northeast",
+  left: "west",
+  center: "centre",
+  right: "east",
+  "bottom-left": "southwest",
+  bottom: "south",
+  "bottom-right": "southeast"
+};
+const OVERLAY_LIMITS = { maxTextLength: 40, minFontSize: 4, maxFontSize: 72 };
+const OVERLAY_DEFAULTS = {
+  enabled: false,
+  text: "",
+  logo: false,
+  position: "center",
+  opacity: 0.35,
+  rotation: -30,
+  fontSize: 28,
+  sides: "both"
+};
+// What the old global STAMP_LABELS switch did: a FRONT/BACK tag in the top-right corner
+const LEGACY_LABEL_OVERLAY = {
+  ...OVERLAY_DEFAULTS,
+  enabled: true,
+  text: "{side}",
+  position: "top-right",
+  opacity: 1,
+  rotation: 0,
+  fontSize: 12
+};
+
+function getChatOverlay(chatId) {
+  const overlay = getChatSettings(chatId).overlay;
+  if (overlay) return { ...OVERLAY_DEFAULTS, ...overlay };
+  return STAMP_LABELS ? { ...LEGACY_LABEL_OVERLAY } : { ...OVERLAY_DEFAULTS };
+}
+
+function overlayLogoPath(chatId) {
+  return path.join(OVERLAY_DIR, `${chatId}.png`);
+}
+
+function formatOverlay(overlay) {
+  if (!overlay.enabled) return "off";
+  const content = [
+    overlay.text ? `text "${overlay.text}"` : null,
+    overlay.logo ? "logo" : null
+  ].filter(Boolean).join(" + ") || "nothing set";
+  const sides = overlay.sides === "both" ? "front and back" : `${overlay.sides} only`;
+  return `on - ${content}, ${overlay.position}, ${Math.round(overlay.opacity * 100)}% opacity, ${overlay.rotation}°, ${overlay.fontSize}pt, ${sides}`;
+}
+
+function escapeSvgText(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function renderOverlayText(text, fontPx) {
+  const pad = Math.ceil(fontPx * 0.2);
+  // Generous width estimate for bold glyphs; the spare space is transparent
+  const width = Math.ceil(fontPx * 0.75 * [...text].length) + pad * 2;
+  const height = Math.ceil(fontPx * 1.3);
+  const svg = `
+    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <text x="50%" y="${Math.round(fontPx * 1.0)}" text-anchor="middle"
+        font-family="Arial, Helvetica, sans-serif" font-size="${fontPx}" font-weight="700"
+        fill="white" stroke="black" stroke-width="${Math.max(1, Math.round(fontPx * 0.05))}"
+        paint-order="stroke">${escapeSvgText(text)}</text>
+    </svg>
+  `.trim();
+  return sharp(Buffer.from(svg)).png().toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Build the overlay as one transparent PNG sized for an image of imgW×imgH
+ * printed on a card of card.w×card.h points: logo above text, then rotated
+ * and faded. Returns null when there is nothing to draw for this side.
+ */
+async function renderOverlayBlock(chatId, overlay, side, imgW, imgH, card) {
+  if (!overlay.enabled || (overlay.sides !== "both" && overlay.sides !== side)) return null;
+
+  const pxPerPt = imgH / card.h;
+  const fontPx = Math.max(8, Math.round(overlay.fontSize * pxPerPt));
+  const parts = [];
+
+  const logoPath = overlayLogoPath(chatId);
+  if (overlay.logo && fs.existsSync(logoPath)) {
+    // The logo is drawn twice the text height so one size setting scales both
+    parts.push(await sharp(logoPath).resize({ height: fontPx * 2 }).png().toBuffer({ resolveWithObject: true }));
+  }
+  const text = overlay.text.replace(/\{side\}/gi, side.toUpperCase());
+  if (text) parts.push(await renderOverlayText(text, fontPx));
+  if (parts.length === 0) return null;
+
+  const width = Math.max(...parts.map((p) => p.info.width));
+  const height = parts.reduce((sum, p) => sum + p.info.height, 0);
+  let top = 0;
+  const layers = parts.map((p) => {
+    const layer = { input: p.data, top, left: Math.floor((width - p.info.width) / 2) };
+    top += p.info.height;
+    return layer;
+  });
+
+  const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+  const stacked = await sharp({ create: { width, height, channels: 4, background: transparent } })
+    .composite(layers)
+    .png()
+    .toBuffer();
+  const rotated = await sharp(stacked).rotate(overlay.rotation, { background: transparent }).png().toBuffer();
+  // Scale only the alpha channel to fade the whole block
+  const faded = await sharp(rotated).ensureAlpha().linear([1, 1, 1, overlay.opacity], [0, 0, 0, 0]).png().toBuffer();
+
+  // Keep a small margin from the card edge and never exceed the image
+  const margin = Math.round(4 * pxPerPt);
+  return sharp(faded)
+    .resize(Math.max(1, imgW - margin * 2), Math.max(1, imgH - margin * 2), { fit: "inside", withoutEnlargement: true })
+    .extend({ top: margin, bottom: margin, left: margin, right: margin, background: transparent })
+    .png()
+    .toBuffer();
+}
+
+async function applyOverlay(chatId, overlay, side, imgPath, outPath, card) {
+  const input = await readStoredImage(imgPath);
+  const { width, height } = await sharp(input).metadata();
+  const block = await renderOverlayBlock(chatId, overlay, side, width, height, card);
+  if (!block) return imgPath;
+  const pipeline = sharp(input)
+    .composite([{ input: block, gravity: OVERLAY_POSITIONS[overlay.position] || "centre" }])
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: 88, mozjpeg: true });
+  return writeStoredImage(pipeline, outPath);
+}
+
+/**
+ * Store an uploaded PNG as the chat's overlay logo, shrunk to a sane size.
+ */
+async function saveOverlayLogo(chatId, fileId) {
+  ensureDir(OVERLAY_DIR);
+  const tmpPath = `${overlayLogoPath(chatId)}.${uuidv4()}.tmp`;
+  try {
+    await downloadTelegramFile(fileId, tmpPath);
+    const meta = await sharp(tmpPath).metadata();
+    if (meta.format !== "png") throw new Error("the file is not a PNG image");
+    await sharp(tmpPath)
+      .resize(1000, 1000, { fit: "inside", withoutEnlargement: true })
+      .png()
+      .toFile(overlayLogoPath(chatId));
+  } finally {
+    await fs.promises.rm(tmpPath, { force: true });
+  }
+  return updateChatSettings(chatId, { overlay: { ...getChatOverlay(chatId), logo: true, enabled: true } }).overlay;
+}
+
+// Print-ready copies of the pairs in jobDir: resampled, then overlaid
+async function prepareRenderPairs(chatId, pairs, jobDir, options) {
+  const printPairs = await prepareImagesForPrint(pairs, jobDir, options);
+  const overlay = getChatOverlay(chatId);
+  if (!overlay.enabled) return printPairs;
+
+  const { card } = options.profile;
+  const result = [];
+  for (let i = 0; i < printPairs.length; i++) {
+    result.push({
+      ...printPairs[i],
+      front: await applyOverlay(chatId, overlay, "front", printPairs[i].front, path.join(jobDir, `front_${i}_overlay.jpg`), card),
+      back: await applyOverlay(chatId, overlay, "back", printPairs[i].back, path.join(jobDir, `back_${i}_overlay.jpg`), card)
+    });
+    await options.onProgress?.("Adding overlays", i + 1, printPairs.length);
+  }
+  return result;
+}
+
+/* ==========================
+   Card detection (auto-crop)
+   ========================== */
+
+// Detection runs on a small copy; the warp samples a bounded full-size copy
+const AUTOCROP_DETECT_SIZE = 400;
+const AUTOCROP_SOURCE_SIZE = 2000;
+const AUTOCROP_MAX_OUTPUT = 1400;
+let autoCropQueue = Promise.resolve();
+
+// One photo at a time: the raw buffers are the biggest allocations in the bot
+function queueAutoCrop(fn) {
+  const run = () => Promise.resolve().then(fn);
+  const job = autoCropQueue.then(run, run);
+  autoCropQueue = job.catch(() => {});
+  return job;
+}
+
+// Otsu threshold of an 8-bit histogram
+function otsuThreshold(hist, total) {
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * hist[i];
+  let sumB = 0;
+  let weightB = 0;
+  let best = 0;
+  let threshold = 0;
+  for (let i = 0; i < 256; i++) {
+    weightB += hist[i];
+    if (weightB === 0) continue;
+    const weightF = total - weightB;
+    if (weightF === 0) break;
+    sumB += i * hist[i];
+    const meanB = sumB / weightB;
+    const meanF = (sum - sumB) / weightF;
+    const between = weightB * weightF * (meanB - meanF) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = i;
+    }
+  }
+  return threshold;
+}
+
+function convexHull(points) {
+  const pts = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  upper.pop();
+  lower.pop();
+  return lower.concat(upper);
+}
+
+function polygonArea(pts) {
+  let area = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % pts.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+// Largest-area quadrilateral with corners on the hull (hull is small, O(n³) is fine)
+function largestQuad(hull) {
+  const step = Math.max(1, Math.ceil(hull.length / 60));
+  const pts = hull.filter((_, i) => i % step === 0);
+  const n = pts.length;
+  if (n < 4) return null;
+
+  let best = null;
+  let bestArea = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      let left = null;
+      let leftArea = 0;
+      for (let k = i + 1; k < j; k++) {
+        const a = polygonArea([pts[i], pts[k], pts[j]]);
+        if (a > leftArea) { leftArea = a; left = pts[k]; }
+      }
+      let right = null;
+      let rightArea = 0;
+      for (let k = j + 1; k < n + i; k++) {
+        const p = pts[k % n];
+        const a = polygonArea([pts[i], pts[j], p]);
+        if (a > rightArea) { rightArea = a; right = p; }
+      }
+      if (left && right && leftArea + rightArea > bestArea) {
+        bestArea = leftArea + rightArea;
+        best = [pts[i], left, pts[j], right];
+      }
+    }
+  }
+  return best ? { corners: best, area: bestArea } : null;
+}
+
+// Clockwise from top-left, with the long edge on top so the card comes out landscape
+function orderCorners(corners) {
+  const cx = corners.reduce((s, p) => s + p.x, 0) / 4;
+  const cy = corners.reduce((s, p) => s + p.y, 0) / 4;
+  const sorted = [...corners].sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+  let start = 0;
+  sorted.forEach((p, i) => {
+    if (p.x + p.y < sorted[start].x + sorted[start].y) start = i;
+  });
+  let ordered = [0, 1, 2, 3].map((i) => sorted[(start + i) % 4]);
+
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const top = dist(ordered[0], ordered[1]) + dist(ordered[3], ordered[2]);
+  const side = dist(ordered[0], ordered[3]) + dist(ordered[1], ordered[2]);
+  if (side > top) ordered = [ordered[3], ordered[0], ordered[1], ordered[2]];
+  return ordered;
+}
+
+/**
+ * Find the card in a photo: the biggest blob that differs from the colour of
+ * the image border (the table), reduced to its best-fitting quadrilateral.
+ * Returns corners in source-pixel coordinates, or null when no card stands out
+ * or the card already fills the frame.
+ */
+async function detectCardQuad(imgPath) {
+  const input = await readStoredImage(imgPath);
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize(AUTOCROP_DETECT_SIZE, AUTOCROP_DETECT_SIZE, { fit: "inside" })
+    .removeAlpha()
+    .blur(1.5)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width: w, height: h, channels } = info;
+
+  // Background colour: per-channel median of the outermost pixels
+  const border = [[], [], []];
+  const sample = (x, y) => {
+    const i = (y * w + x) * channels;
+    for (let c = 0; c < 3; c++) border[c].push(data[i + c]);
+  };
+  for (let x = 0; x < w; x++) { sample(x, 0); sample(x, h - 1); }
+  for (let y = 0; y < h; y++) { sample(0, y); sample(w - 1, y); }
+  const bg = border.map((values) => values.sort((a, b) => a - b)[values.length >> 1]);
+
+  const distance = new Uint8Array(w * h);
+  const hist = new Array(256).fill(0);
+  for (let p = 0; p < w * h; p++) {
+    const i = p * channels;
+    const d = Math.min(255, Math.round(Math.hypot(data[i] - bg[0], data[i + 1] - bg[1], data[i + 2] - bg[2])));
+    distance[p] = d;
+    hist[d] += 1;
+  }
+  const threshold = Math.max(24, otsuThreshold(hist, w * h));
+
+  // Largest 4-connected foreground component
+  const labels = new Int32Array(w * h);
+  let bestLabel = 0;
+  let bestSize = 0;
+  let label = 0;
+  const stack = [];
+  for (let p = 0; p < w * h; p++) {
+    if (labels[p] || distance[p] <= threshold) continue;
+    label += 1;
+    let size = 0;
+    labels[p] = label;
+    stack.push(p);
+    while (stack.length) {
+      const q = stack.pop();
+      size += 1;
+      const x = q % w;
+      const neighbours = [x > 0 ? q - 1 : -1, x < w - 1 ? q + 1 : -1, q - w, q + w];
+      for (const n of neighbours) {
+        if (n < 0 || n >= w * h || labels[n] || distance[n] <= threshold) continue;
+        labels[n] = label;
+        stack.push(n);
+      }
+    }
+    if (size > bestSize) { bestSize = size; bestLabel = label; }
+  }
+  if (bestSize < w * h * 0.1) return null;
+
+  // Row extremes are enough to describe the component's outline
+  const outline = [];
+  for (let y = 0; y < h; y++) {
+    let minX = -1;
+    let maxX = -1;
+    for (let x = 0; x < w; x++) {
+      if (labels[y * w + x] !== bestLabel) continue;
+      if (minX < 0) minX = x;
+      maxX = x;
+    }
+    if (minX >= 0) outline.push({ x: minX, y }, { x: maxX + 1, y: y + 1 });
+  }
+
+  const quad = largestQuad(convexHull(outline));
+  if (!quad) return null;
+  // Too small, not rectangular enough, or already the whole photo
+  if (quad.area < w * h * 0.15 || bestSize < quad.area * 0.8 || quad.area > w * h * 0.92) return null;
+
+  const meta = await sharp(input).rotate().metadata();
+  const orientedW = meta.orientation >= 5 ? meta.height : meta.width;
+  const scale = orientedW / w;
+  return orderCorners(quad.corners).map((p) => ({ x: p.x * scale, y: p.y * scale }));
+}
+
+// Homography taking the unit rectangle corners (0,0) (W,0) (W,H) (0,H) to `quad`
+function solveHomography(W, H, quad) {
+  const src = [[0, 0], [W, 0], [W, H], [0, H]];
+  const A = [];
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = src[i];
+    const { x: u, y: v } = quad[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+  // Gaussian elimination with partial pivoting on the 8×9 augmented matrix
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const f = A[r][col] / A[col][col];
+      for (let c = col; c < 9; c++) A[r][c] -= f * A[col][c];
+    }
+  }
+  return A.map((row, i) => row[8] / row[i]);
+}
+
+/**
+ * Straighten the card found by detectCardQuad and crop it to the card aspect
+ * ratio (width / height). Writes a JPEG to outPath.
+ */
+async function warpCard(imgPath, quad, aspect, outPath) {
+  const input = await readStoredImage(imgPath);
+  const meta = await sharp(input).rotate().metadata();
+  const orientedW = meta.orientation >= 5 ? meta.height : meta.width;
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize(AUTOCROP_SOURCE_SIZE, AUTOCROP_SOURCE_SIZE, { fit: "inside", withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width: srcW, height: srcH, channels } = info;
+  const k = srcW / orientedW;
+  const corners = quad.map((p) => ({ x: p.x * k, y: p.y * k }));
+
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const longEdge = Math.max(dist(corners[0], corners[1]), dist(corners[3], corners[2]));
+  const outW = Math.round(Math.min(AUTOCROP_MAX_OUTPUT, Math.max(300, longEdge)));
+  const outH = Math.round(outW / aspect);
+  const [h0, h1, h2, h3, h4, h5, h6, h7] = solveHomography(outW, outH, corners);
+
+  const out = Buffer.alloc(outW * outH * 3);
+  for (let y = 0; y < outH; y++) {
+    for (let x = 0; x < outW; x++) {
+      const d = h6 * x + h7 * y + 1;
+      const sx = Math.min(srcW - 1.001, Math.max(0, (h0 * x + h1 * y + h2) / d));
+      const sy = Math.min(srcH - 1.001, Math.max(0, (h3 * x + h4 * y + h5) / d));
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i00 = (y0 * srcW + x0) * channels;
+      const i10 = i00 + channels;
+      const i01 = i00 + srcW * channels;
+      const i11 = i01 + channels;
+      const o = (y * outW + x) * 3;
+      for (let c = 0; c < 3; c++) {
+        const top = data[i00 + c] * (1 - fx) + data[i10 + c] * fx;
+        const bottom = data[i01 + c] * (1 - fx) + data[i11 + c] * fx;
+        out[o + c] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+    }
+  }
+
+  return writeStoredImage(sharp(out, { raw: { width: outW, height: outH, channels: 3 } }).jpeg({ quality: 92 }), outPath);
+}
+
+/**
+ * Point every reference to an image at a new file: the pending queue, the
+ * labelled lists, the groups, a prepared /pdf batch, the undo history, the
+ * last finished batch and open auto-crop offers. Every store that keeps image
+ * paths belongs here, so edits and accepted crops never leave a stale path.
+ */
+function replaceImagePath(st, oldPath, newPath) {
+  let replaced = false;
+  const swap = (item) => {
+    if (item?.path === oldPath) {
+      item.path = newPath;
+      replaced = true;
+    }
+  };
+  (st.pendingImages || []).forEach(swap);
+  (st.fronts || []).forEach(swap);
+  (st.backs || []).forEach(swap);
+  (st.imageGroups || []).forEach((group) => group.forEach(swap));
+  for (const pair of st.pendingPairs || []) {
+    if (pair.front === oldPath) { pair.front = newPath; replaced = true; }
+    if (pair.back === oldPath) { pair.back = newPath; replaced = true; }
+  }
+  if (st.lastImagePath === oldPath) st.lastImagePath = newPath;
+
+  // Bookkeeping only: `replaced` reports whether the image is still in the batch
+  for (const entry of st.history || []) {
+    if (entry.path === oldPath) entry.path = newPath;
+  }
+  for (const pair of st.lastBatch?.pairs || []) {
+    if (pair.front === oldPath) pair.front = newPath;
+    if (pair.back === oldPath) pair.back = newPath;
+  }
+  for (const offer of Object.values(st.cropOffers || {})) {
+    if (offer.original === oldPath) offer.original = newPath;
+  }
+  return replaced;
+}
+
+// Detect and straighten the card in a fresh upload, then ask whether to use it
+async function offerAutoCrop(chatId, st, imgPath, order) {
+  const profile = getLayoutProfile(getChatLayout(chatId));
+  const croppedPath = imgPath.replace(/(\.[^./]+)?$/, "_autocrop.jpg");
+
+  let found = false;
+  try {
+    found = await queueAutoCrop(async () => {
+      const quad = await detectCardQuad(imgPath);
+      if (!quad) return false;
+      await warpCard(imgPath, quad, profile.card.w / profile.card.h, croppedPath);
+      return true;
+    });
+  } catch (e) {
+    console.error(`Auto-crop failed for ${imgPath}: ${e.message}`);
+  }
+  if (!found) return;
+
+  if (!st.cropOffers) st.cropOffers = {};
+  st.cropOffers[order] = { original: imgPath, cropped: croppedPath };
+  persistSession(chatId);
+
+  await bot.sendPhoto(chatId, await readStoredImage(croppedPath), {
+    caption: "✂️ Card detected and straightened. Use the cropped version?",
+    reply_markup: {
+      inline_keyboard: [[
+        { text: "✅ Use cropped", callback_data: `crop_yes_${order}` },
+        { text: "↩️ Keep original", callback_data: `crop_no_${order}` }
+      ]]
+    }
+  }, { filename: "cropped.jpg", contentType: "image/jpeg" });
+}
+
+/* ==========================
+   Per-image edits
+   ========================== */
+
+/**
+ * Edit operations for /rotate, /mirror, /bright, /contrast and /crop. Each
+ * parses its arguments into an edit step (or returns an error string); the
+ * steps are kept on the group item and always replayed from the original
+ * upload, so repeated edits don't lose quality and /revert is lossless.
+ */
+const IMAGE_EDITS = {
+  rotate: {
+    usage: "/rotate <id> <front|back> <90|180|270>",
+    parse: ([deg]) => {
+      const angle = ((parseInt(deg) % 360) + 360) % 360;
+      if (![90, 180, 270].includes(angle)) return "Angle must be 90, 180 or 270.";
+      return { op: "rotate", angle };
+    }
+  },
+  mirror: {
+    usage: "/mirror <id> <front|back>",
+    parse: () => ({ op: "mirror" })
+  },
+  bright: {
+    usage: "/bright <id> <front|back> <-100..+100>",
+    parse: ([value]) => {
+      const amount = Number(value);
+      if (!Number.isFinite(amount) || amount < -100 || amount > 100 || amount === 0) return "Brightness must be between -100 and +100.";
+      return { op: "bright", amount };
+    }
+  },
+  contrast: {
+    usage: "/contrast <id> <front|back> <-100..+100>",
+    parse: ([value]) => {
+      const amount = Number(value);
+      if (!Number.isFinite(amount) || amount < -100 || amount > 100 || amount === 0) return "Contrast must be between -100 and +100.";
+      return { op: "contrast", amount };
+    }
+  },
+  crop: {
+    usage: "/crop <id> <front|back> <left%> <top%> <right%> <bottom%>",
+    parse: (values) => {
+      const margins = values.map(Number);
+      if (margins.length !== 4 || !margins.every((m) => Number.isFinite(m) && m >= 0 && m < 50)) {
+        return "Give four margins to cut off, in percent (0-49): left top right bottom.";
+      }
+      const [left, top, right, bottom] = margins;
+      return { op: "crop", left, top, right, bottom };
+    }
+  }
+};
+
+async function applyImageEdit(buffer, edit) {
+  const img = sharp(buffer);
+  if (edit.op === "rotate") return img.rotate(edit.angle).toBuffer();
+  if (edit.op === "mirror") return img.flop().toBuffer();
+  if (edit.op === "bright") return img.modulate({ brightness: 1 + edit.amount / 100 }).toBuffer();
+  if (edit.op === "contrast") {
+    const a = 1 + edit.amount / 100;
+    return img.linear(a, 128 * (1 - a)).toBuffer();
+  }
+  if (edit.op === "crop") {
+    const { width, height } = await img.metadata();
+    const left = Math.round((width * edit.left) / 100);
+    const top = Math.round((height * edit.top) / 100);
+    return img
+      .extract({
+        left,
+        top,
+        width: Math.max(1, width - left - Math.round((width * edit.right) / 100)),
+        height: Math.max(1, height - top - Math.round((height * edit.bottom) / 100))
+      })
+      .toBuffer();
+  }
+  throw new Error(`Unknown edit: ${edit.op}`);
+}
+
+async function renderImageEdits(originalPath, edits, outPath) {
+  // Bake in the EXIF orientation first so the edits act on what the user sees
+  let buffer = await sharp(await readStoredImage(originalPath)).rotate().toBuffer();
+  for (const edit of edits) buffer = await applyImageEdit(buffer, edit);
+  return writeStoredImage(sharp(buffer).flatten({ background: "#ffffff" }).jpeg({ quality: 95 }), outPath);
+}
+
+// The group item for "<id> <front|back>" as shown in /status (first match in the group)
+function findGroupImage(st, id, side) {
+  const group = st.imageGroups?.[id - 1];
+  if (!group) return null;
+  return group.find((img) => img.type === side) || null;
+}
+
+async function sendImageThumbnail(chatId, imgPath, caption, options = {}) {
+  const thumb = await sharp(await readStoredImage(imgPath)).resize(320, 320, { fit: "inside" }).flatten({ background: "#ffffff" }).jpeg({ quality: 80 }).toBuffer();
+  return bot.sendPhoto(chatId, thumb, { caption, ...options }, { filename: "preview.jpg", contentType: "image/jpeg" });
+}
+
+// Layout with exact measurements from PUB template
+// Page: 8.268" × 11.693" (595.30 × 841.90 points)
+// Back size: 3.33" x 2.15" (250pt x 154.8pt)
+// Front size: same as back (250pt x 154.8pt)
+// Front/back horizontal gap: 0.25" (18pt)
+// Symmetrical margins: 47.65pt left/right, 343.55pt top/bottom
+// Conversion: 1 inch = 72 points
+const LAYOUT = {
+  pageWpt: 595.30,
+  pageHpt: 841.90,
+  frontBox: { x: 47.65, y: 343.55, w: 250, h: 154.8 },
+  backBox: { x: 307.65, y: 343.55, w: 250, h: 154.8 }
+};
+
+const MM = 72 / 25.4;
+
+/**
+ * Named sheet layouts. Every profile places ID pairs (front + back) on a grid:
+ *   card      - size of one card box in points
+ *   sides     - "row": back beside front, "column": back below front,
+ *               "pages": fronts on one page and backs on the next
+ *   cols/rows - pairs per row / rows per page
+ *   sideGap   - gap between the front and back of one pair
+ *   colGap    - gap between pair columns, rowGap - gap between rows
+ *   marginLeft/marginTop - grid offset, null centers the grid on the page
+ */
+const LAYOUT_PROFILES = {
+  pub: {
+    label: "PUB A4 (default)",
+    pageWpt: LAYOUT.pageWpt,
+    pageHpt: LAYOUT.pageHpt,
+    card: { w: LAYOUT.frontBox.w, h: LAYOUT.frontBox.h },
+    sides: "row",
+    cols: 1,
+    rows: 5,
+    sideGap: LAYOUT.backBox.x - LAYOUT.frontBox.x - LAYOUT.frontBox.w,
+    colGap: 0,
+    // Row spacing: first row at top with 21.3pt spacing, 1.41mm vertical gap between rows
+    rowGap: 1.41 * MM,
+    marginLeft: LAYOUT.frontBox.x,
+    marginTop: 21.3
+  },
+  letter: {
+    label: "US Letter",
+    pageWpt: 612,
+    pageHpt: 792,
+    card: { w: 250, h: 154.8 },
+    sides: "row",
+    cols: 1,
+    rows: 4,
+    sideGap: 10,
+    colGap: 0,
+    rowGap: 6 * MM,
+    marginLeft: null,
+    marginTop: null
+  },
+  a4_2up: {
+    label: "A4, 2 IDs per row",
+    pageWpt: LAYOUT.pageWpt,
+    pageHpt: LAYOUT.pageHpt,
+    card: { w: 85.6 * MM, h: 54 * MM },
+    sides: "column",
+    cols: 2,
+    rows: 2,
+    sideGap: 3 * MM,
+    colGap: 10 * MM,
+    rowGap: 10 * MM,
+    marginLeft: null,
+    marginTop: null
+  },
+  cr80: {
+    label: "CR80 card stock",
+    pageWpt: 85.6 * MM,
+    pageHpt: 54 * MM,
+    card: { w: 85.6 * MM, h: 54 * MM },
+    sides: "pages",
+    cols: 1,
+    rows: 1,
+    sideGap: 0,
+    colGap: 0,
+    rowGap: 0,
+    marginLeft: 0,
+    marginTop: 0
+  }
+};
+const DEFAULT_LAYOUT = "pub";
+
+function getLayoutProfile(name) {
+  return LAYOUT_PROFILES[name] || LAYOUT_PROFILES[DEFAULT_LAYOUT];
+}
+
+function getChatLayout(chatId) {
+  const name = getChatSettings(chatId).layout;
+  return LAYOUT_PROFILES[name] ? name : DEFAULT_LAYOUT;
+}
+
+function getPairsPerPage(profile) {
+  return profile.cols * profile.rows;
+}
+
+function countPdfPages(profile, pairCount, duplex = null) {
+  if (duplex) return Math.ceil(pairCount / computeCardSlots(profile).length) * 2;
+  const sheets = Math.ceil(pairCount / getPairsPerPage(profile));
+  return profile.sides === "pages" ? sheets * 2 : sheets;
+}
+
+// Size of the box one pair occupies on the grid
+function getPairCell(profile) {
+  const { w, h } = profile.card;
+  if (profile.sides === "row") return { w: w * 2 + profile.sideGap, h };
+  if (profile.sides === "column") return { w, h: h * 2 + profile.sideGap };
+  return { w, h };
+}
+
+/**
+ * Card positions for the first `count` pairs of a page. Pairs fill columns
+ * top-to-bottom, so a partial page keeps its columns balanced.
+ */
+function computePairSlots(profile, count, swapSides = false) {
+  const cell = getPairCell(profile);
+  const gridW = profile.cols * cell.w + (profile.cols - 1) * profile.colGap;
+  const gridH = profile.rows * cell.h + (profile.rows - 1) * profile.rowGap;
+  const left = profile.marginLeft ?? (profile.pageWpt - gridW) / 2;
+  const top = profile.marginTop ?? (profile.pageHpt - gridH) / 2;
+  const rowsPerCol = Math.min(profile.rows, Math.ceil(count / profile.cols));
+
+  const slots = [];
+  for (let i = 0; i < count; i++) {
+    const col = Math.floor(i / rowsPerCol);
+    const row = i % rowsPerCol;
+    const x = left + col * (cell.w + profile.colGap);
+    const y = top + row * (cell.h + profile.rowGap);
+
+    let first = { x, y };
+    let second = { x, y };
+    if (profile.sides === "row") second = { x: x + profile.card.w + profile.sideGap, y };
+    if (profile.sides === "column") second = { x, y: y + profile.card.h + profile.sideGap };
+
+    slots.push(swapSides ? { front: second, back: first } : { front: first, back: second });
+  }
+  return slots;
+}
+
+/**
+ * Every card box of a full page in reading order (top-to-bottom, left-to-right).
+ * Duplex printing fills all of them with fronts and puts the backs on the
+ * reverse page, so one sheet holds twice as many IDs as a side-by-side page.
+ */
+function computeCardSlots(profile) {
+  const pairSlots = computePairSlots(profile, getPairsPerPage(profile));
+  const boxes = profile.sides === "pages"
+    ? pairSlots.map((slot) => slot.front)
+    : pairSlots.flatMap((slot) => [slot.front, slot.back]);
+  return boxes.sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Position of the back of a card so it lands behind its front once the sheet
+ * is turned over. Long-edge binding mirrors the page left-to-right; short-edge
+ * binding mirrors it top-to-bottom, and the back is drawn upside down so the
+ * cut card still reads upright when turned over sideways.
+ */
+function mirrorCardBox(profile, box, binding) {
+  if (binding === "short") {
+    return { x: box.x, y: profile.pageHpt - box.y - profile.card.h, rotate: true };
+  }
+  return { x: profile.pageWpt - box.x - profile.card.w, y: box.y, rotate: false };
+}
+
+/* ==================================
+   2) Generate PDF (same as PUB page)
+   ================================== */
+
+async function makeSinglePagePdf(frontImg, backImg, outPdf) {
+  const doc = new PDFDocument({ autoFirstPage: false });
+
+  await new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(outPdf);
+    doc.pipe(stream);
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+
+    try {
+      doc.addPage({ size: [LAYOUT.pageWpt, LAYOUT.pageHpt], margin: 0 });
+
+      // FRONT in measured frontBox
+      doc.image(frontImg, LAYOUT.frontBox.x, LAYOUT.frontBox.y, {
+        width: LAYOUT.frontBox.w,
+        height: LAYOUT.frontBox.h
+      });
+
+      // BACK in measured backBox
+      doc.image(backImg, LAYOUT.backBox.x, LAYOUT.backBox.y, {
+        width: LAYOUT.backBox.w,
+        height: LAYOUT.backBox.h
+      });
+
+      doc.end();
+    } catch (e) {
+      reject(e);
+    }
+  });
+
+  return outPdf;
+}
+
+/* ==========================
+   Printer calibration
+   ========================== */
+
+// Corrections are stored in millimetres / percent, the units people measure with
+const CALIBRATION_LIMITS = { offsetMm: 20, minScale: 90, maxScale: 110 };
+
+function getChatCalibration(chatId) {
+  const cal = getChatSettings(chatId).calibration;
+  if (!cal) return null;
+  return { offsetXmm: cal.offsetXmm || 0, offsetYmm: cal.offsetYmm || 0, scalePct: cal.scalePct || 100 };
+}
+
+function isIdentityCalibration(cal) {
+  return !cal || (cal.offsetXmm === 0 && cal.offsetYmm === 0 && cal.scalePct === 100);
+}
+
+/**
+ * Shift and scale everything drawn on the current page. Scaling happens around
+ * the page centre (how printers shrink-to-fit), then the content is moved by
+ * the offset; positive X moves right, positive Y moves down. Must be called
+ * right after addPage, pdfkit resets the transform on every new page.
+ */
+function applyCalibration(doc, profile, cal) {
+  if (isIdentityCalibration(cal)) return;
+  const scale = cal.scalePct / 100;
+  const cx = profile.pageWpt / 2;
+  const cy = profile.pageHpt / 2;
+  doc.translate(cx + cal.offsetXmm * MM, cy + cal.offsetYmm * MM);
+  doc.scale(scale);
+  doc.translate(-cx, -cy);
+}
+
+function formatCalibration(cal) {
+  if (isIdentityCalibration(cal)) return "none (printing at exact layout positions)";
+  const sign = (v) => (v > 0 ? `+${v}` : `${v}`);
+  return `X ${sign(cal.offsetXmm)}mm, Y ${sign(cal.offsetYmm)}mm, scale ${cal.scalePct}%`;
+}
+
+function parseCalibrationArgs(args) {
+  const parts = args.split(/\s+/).filter(Boolean);
+  if (parts.length < 2 || parts.length > 3) return { error: "Use: /calibrate <x_mm> <y_mm> [scale_%]" };
+
+  const [offsetXmm, offsetYmm, scalePct = 100] = parts.map((p) => Number(p.replace(",", ".")));
+  if (![offsetXmm, offsetYmm, scalePct].every(Number.isFinite)) {
+    return { error: "Corrections must be numbers, e.g. /calibrate 1.5 -0.8 99.5" };
+  }
+  if (Math.abs(offsetXmm) > CALIBRATION_LIMITS.offsetMm || Math.abs(offsetYmm) > CALIBRATION_LIMITS.offsetMm) {
+    return { error: `Offsets must be within ±${CALIBRATION_LIMITS.offsetMm}mm.` };
+  }
+  if (scalePct < CALIBRATION_LIMITS.minScale || scalePct > CALIBRATION_LIMITS.maxScale) {
+    return { error: `Scale must be between ${CALIBRATION_LIMITS.minScale}% and ${CALIBRATION_LIMITS.maxScale}%.` };
+  }
+
+  const round = (v) => Math.round(v * 100) / 100;
+  return { calibration: { offsetXmm: round(offsetXmm), offsetYmm: round(offsetYmm), scalePct: round(scalePct) } };
+}
+
+function drawCrosshair(doc, x, y, size) {
+  doc.moveTo(x - size, y).lineTo(x + size, y).moveTo(x, y - size).lineTo(x, y + size).stroke();
+  doc.circle(x, y, size / 3).stroke();
+}
+
+/**
+ * Test page for measuring printer drift: mm rulers along the top and left
+ * edges, a crosshair in the page centre, the layout's card boxes and a
+ * reference line for the scale. Pass a calibration to check the corrections.
+ */
+async function makeCalibrationPdf(outPdf, profile = getLayoutProfile(), calibration = null) {
+  const doc = new PDFDocument({ autoFirstPage: false });
+  const pageWmm = profile.pageWpt / MM;
+  const pageHmm = profile.pageHpt / MM;
+  const fontSize = Math.max(4, Math.min(8, pageHmm / 35));
+  const refMm = Math.max(10, Math.floor((Math.min(pageWmm, pageHmm) * 0.6) / 10) * 10);
+
+  await new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(outPdf);
+    doc.pipe(stream);
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+
+    try {
+      doc.addPage({ size: [profile.pageWpt, profile.pageHpt], margin: 0 });
+      applyCalibration(doc, profile, calibration);
+      doc.lineWidth(0.3).strokeColor("black").fillColor("black").font("Helvetica").fontSize(fontSize);
+
+      // Rulers: tick every mm, longer every 5mm, labelled every 10mm
+      for (let mm = 0; mm <= pageWmm; mm++) {
+        const len = mm % 10 === 0 ? 4 * MM : mm % 5 === 0 ? 2.5 * MM : 1.5 * MM;
+        doc.moveTo(mm * MM, 0).lineTo(mm * MM, len).stroke();
+        if (mm % 10 === 0 && mm > 0) doc.text(String(mm), mm * MM - 10, len + 1, { width: 20, align: "center", lineBreak: false });
+      }
+      for (let mm = 0; mm <= pageHmm; mm++) {
+        const len = mm % 10 === 0 ? 4 * MM : mm % 5 === 0 ? 2.5 * MM : 1.5 * MM;
+        doc.moveTo(0, mm * MM).lineTo(len, mm * MM).stroke();
+        if (mm % 10 === 0 && mm > 0) doc.text(String(mm), len + 1, mm * MM - fontSize / 2, { lineBreak: false });
+      }
+
+      // Card boxes of the current layout, dashed, with a crosshair on each corner
+      doc.save().dash(2, { space: 2 }).strokeColor("#777777");
+      const boxes = computeCardSlots(profile);
+      for (const box of boxes) doc.rect(box.x, box.y, profile.card.w, profile.card.h).stroke();
+      doc.undash().restore();
+      for (const box of boxes) drawCrosshair(doc, box.x, box.y, 3 * MM);
+
+      // Centre crosshair
+      const cx = profile.pageWpt / 2;
+      const cy = profile.pageHpt / 2;
+      doc.lineWidth(0.5);
+      drawCrosshair(doc, cx, cy, 8 * MM);
+
+      // Scale reference below the centre
+      const refY = Math.min(cy + 12 * MM, profile.pageHpt - 10 * MM);
+      const refX = cx - (refMm * MM) / 2;
+      doc.moveTo(refX, refY).lineTo(refX + refMm * MM, refY).stroke();
+      doc.moveTo(refX, refY - 2 * MM).lineTo(refX, refY + 2 * MM).stroke();
+      doc.moveTo(refX + refMm * MM, refY - 2 * MM).lineTo(refX + refMm * MM, refY + 2 * MM).stroke();
+
+      const lines = [
+        `Calibration page - ${profile.label}`,
+        `Centre crosshair should be ${(pageWmm / 2).toFixed(1)}mm from the left edge and ${(pageHmm / 2).toFixed(1)}mm from the top edge.`,
+        `The line above should measure exactly ${refMm}mm.`,
+        `Corrections applied: ${formatCalibration(calibration)}`
+      ];
+      doc.text(lines.join("\n"), 8 * MM, refY + 3 * MM, { width: profile.pageWpt - 16 * MM, align: "center" });
+
+      doc.end();
+    } catch (e) {
+      reject(e);
+    }
+  });
+
+  return outPdf;
+}
+
+/* ==========================
+   Print marks
+   ========================== */
+
+const PRINT_MARK_LIMITS = { maxBleedMm: 3 };
+const CROP_MARK_LENGTH = 3 * MM;
+const CROP_MARK_OFFSET = 1 * MM;
+
+function getChatPrintMarks(chatId) {
+  const marks = getChatSettings(chatId).printMarks || {};
+  return { enabled: !!marks.enabled, outline: !!marks.outline, bleedMm: marks.bleedMm || 0 };
+}
+
+/**
+ * Largest bleed in points the profile has room for: half the narrowest gap
+ * between two card boxes, so no card's bleed reaches into its neighbour.
+ */
+function maxBleedForProfile(profile) {
+  const { w, h } = profile.card;
+  const boxes = computeCardSlots(profile);
+  let gap = Infinity;
+  for (let i = 0; i < boxes.length; i++) {
+    for (let j = i + 1; j < boxes.length; j++) {
+      const dx = Math.abs(boxes[i].x - boxes[j].x) - w;
+      const dy = Math.abs(boxes[i].y - boxes[j].y) - h;
+      gap = Math.min(gap, Math.max(dx, dy));
+    }
+  }
+  return Math.min(PRINT_MARK_LIMITS.maxBleedMm * MM, Math.max(0, gap / 2));
+}
+
+// Bleed actually used for a PDF: the chat's setting, limited by the profile
+function getPrintBleed(profile, printMarks) {
+  if (!printMarks?.enabled) return 0;
+  return Math.min((printMarks.bleedMm || 0) * MM, maxBleedForProfile(profile));
+}
+
+// Pieces of the interval a..b left after cutting out every [from, to] in cuts
+function subtractIntervals(a, b, cuts) {
+  let parts = [[Math.min(a, b), Math.max(a, b)]];
+  for (const [from, to] of cuts) {
+    parts = parts.flatMap(([p0, p1]) => {
+      if (to <= p0 || from >= p1) return [[p0, p1]];
+      return [[p0, from], [to, p1]].filter(([q0, q1]) => q1 - q0 > 0);
+    });
+  }
+  return parts;
+}
+
+function formatPrintMarks(marks) {
+  if (!marks.enabled) return "off";
+  return `on (crop marks${marks.outline ? " + cut outline" : ""}, bleed ${marks.bleedMm}mm)`;
+}
+
+/**
+ * Corner crop marks (and optionally a hairline cut outline) around every card
+ * box of the page. Marks start outside the card's own bleed, and any part that
+ * would cross another card (bleed included) is cut away, so tightly packed
+ * layouts keep only the stubs that fit in the gaps.
+ */
+function drawPrintMarks(doc, profile, boxes, marks, bleed) {
+  const { w, h } = profile.card;
+  const start = bleed + CROP_MARK_OFFSET;
+  const end = start + CROP_MARK_LENGTH;
+  const areas = boxes.map(({ x, y }) => ({ x0: x - bleed, y0: y - bleed, x1: x + w + bleed, y1: y + h + bleed }));
+  const MIN_MARK = 0.5;
+
+  const horizontal = (y, xa, xb) => {
+    const cuts = areas.filter((a) => y >= a.y0 && y <= a.y1).map((a) => [a.x0, a.x1]);
+    for (const [p0, p1] of subtractIntervals(xa, xb, cuts)) {
+      if (p1 - p0 >= MIN_MARK) doc.moveTo(p0, y).lineTo(p1, y).stroke();
+    }
+  };
+  const vertical = (x, ya, yb) => {
+    const cuts = areas.filter((a) => x >= a.x0 && x <= a.x1).map((a) => [a.y0, a.y1]);
+    for (const [p0, p1] of subtractIntervals(ya, yb, cuts)) {
+      if (p1 - p0 >= MIN_MARK) doc.moveTo(x, p0).lineTo(x, p1).stroke();
+    }
+  };
+
+  doc.save().lineWidth(0.25).strokeColor("black");
+  for (const { x, y } of boxes) {
+    const corners = [
+      [x, y, -1, -1],
+      [x + w, y, 1, -1],
+      [x, y + h, -1, 1],
+      [x + w, y + h, 1, 1]
+    ];
+    for (const [cx, cy, dx, dy] of corners) {
+      horizontal(cy, cx + dx * start, cx + dx * end);
+      vertical(cx, cy + dy * start, cy + dy * end);
+    }
+    if (marks.outline) {
+      doc.save().lineWidth(0.1).strokeColor("#888888").rect(x, y, w, h).stroke().restore();
+    }
+  }
+  doc.restore();
+}
+
+// Small footer along the bottom edge; skipped when it would touch a card (card stock)
+function drawPageFooter(doc, profile, boxes, text, bleed = 0) {
+  const fontSize = 6;
+  const y = profile.pageHpt - fontSize - 6;
+  const bottom = boxes.reduce((max, box) => Math.max(max, box.y + profile.card.h + bleed), 0);
+  if (bottom > y - 1) return;
+
+  doc.save().font("Helvetica").fontSize(fontSize).fillColor("#555555");
+  doc.text(text, 0, y, { width: profile.pageWpt, align: "center", lineBreak: false });
+  doc.restore();
+}
+
+/* ==========================
+   Pair captions
+   ========================== */
+
+const CAPTION_FONT_SIZE = { min: 4, max: 7 };
+// Most printers can't print this close to the paper edge
+const CAPTION_PAGE_MARGIN = 12;
+const CAPTION_FOOTER_SPACE = 14;
+// A Unicode TrueType font for captions. Characters it lacks print as "?", as does
+// everything beyond Latin-1 when only the built-in Helvetica is available.
+const CAPTION_FONT_CANDIDATES = [
+  process.env.CAPTION_FONT,
+  "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf",
+  "/usr/share/fonts/dejavu/DejaVuSans.ttf"
+];
+let captionFont = CAPTION_FONT_CANDIDATES.find((file) => file && fs.existsSync(file)) || null;
+let captionGlyphs = null;
+if (captionFont) {
+  try {
+    captionGlyphs = fontkit.openSync(captionFont);
+  } catch (e) {
+    console.error(`Caption font ${captionFont} unusable, falling back to Helvetica: ${e.message}`);
+    captionFont = null;
+  }
+}
+
+function isCaptionPrintable(char) {
+  if (captionGlyphs) return captionGlyphs.hasGlyphForCodePoint(char.codePointAt(0));
+  return /^[\x20-\x7e\xa0-\xff]$/.test(char);
+}
+
+function getChatCaptions(chatId) {
+  const captions = getChatSettings(chatId).captions || {};
+  return { enabled: !!captions.enabled, position: captions.position === "under" ? "under" : "beside" };
+}
+
+function formatCaptions(captions) {
+  if (!captions.enabled) return "off";
+  return `on, ${captions.position === "under" ? "under" : "beside"} each pair`;
+}
+
+function captionText(pair) {
+  const text = [pair.serial ? `#${pair.serial}` : null, pair.name].filter(Boolean).join(" ");
+  return [...text].map((char) => (isCaptionPrintable(char) ? char : "?")).join("");
+}
+
+// Captions of the batch that would print with "?" in them, for a warning before rendering
+function findUnprintableCaptions(pairs) {
+  return pairs
+    .filter((pair) => pair.name && [...pair.name].some((char) => !isCaptionPrintable(char)))
+    .map((pair) => `#${pair.serial} ${pair.name}`);
+}
+
+/**
+ * Where the caption of each pair on a page fits: the free strip left of the
+ * pair (text running upwards) or below it, preferring the chat's choice.
+ * `clearance` keeps captions off bleed and crop marks. Pairs without room on
+ * either side get no caption.
+ * Returns [{ text, x, y, w, h, fontSize, rotated }] with x/y/w/h the strip.
+ */
+function planPairCaptions(profile, page, { position = "beside", clearance = 1, footer = false } = {}) {
+  const { w: cardW, h: cardH } = profile.card;
+  const boxes = page.cards.map((card) => ({ x: card.x, y: card.y, w: cardW, h: cardH }));
+  const overlaps = (a1, a2, b1, b2) => a1 < b2 && b1 < a2;
+
+  const leftStrip = (box) => {
+    const right = box.x - clearance;
+    const left = boxes
+      .filter((b) => b.x + b.w <= box.x && overlaps(b.y, b.y + b.h, box.y, box.y + box.h))
+      .reduce((max, b) => Math.max(max, b.x + b.w + clearance), CAPTION_PAGE_MARGIN);
+    return { x: left, y: box.y, w: right - left, h: box.h, size: right - left, rotated: true };
+  };
+  const bottomStrip = (box) => {
+    const top = box.y + box.h + clearance;
+    const pageBottom = profile.pageHpt - CAPTION_PAGE_MARGIN - (footer ? CAPTION_FOOTER_SPACE : 0);
+    const bottom = boxes
+      .filter((b) => b.y >= box.y + box.h && overlaps(b.x, b.x + b.w, box.x, box.x + box.w))
+      .reduce((min, b) => Math.min(min, b.y - clearance), pageBottom);
+    return { x: box.x, y: top, w: box.w, h: bottom - top, size: bottom - top, rotated: false };
+  };
+
+  const placed = [];
+  for (const { text, box } of page.captions || []) {
+    const strips = position === "under" ? [bottomStrip(box), leftStrip(box)] : [leftStrip(box), bottomStrip(box)];
+    const strip = strips.find((s) => s.size - 1 >= CAPTION_FONT_SIZE.min);
+    if (!strip || !text) continue;
+    const fontSize = Math.min(CAPTION_FONT_SIZE.max, strip.size - 1);
+    placed.push({ text, x: strip.x, y: strip.y, w: strip.w, h: strip.h, fontSize, rotated: strip.rotated });
+  }
+  return placed;
+}
+
+function drawPairCaptions(doc, captions) {
+  for (const { text, x, y, w, h, fontSize, rotated } of captions) {
+    const length = rotated ? h : w;
+    doc.save().font(captionFont || "Helvetica").fontSize(fontSize).fillColor("#333333");
+    let fitted = text;
+    // By code point, so shortening never splits an emoji or other surrogate pair
+    while ([...fitted].length > 1 && doc.widthOfString(fitted) > length) fitted = `${[...fitted].slice(0, -2).join("")}…`;
+
+    // Right next to the pair, so it stays with it however the margins are cut
+    if (rotated) {
+      // Reads bottom-to-top along the pair's left edge
+      doc.translate(x + w, y + h).rotate(-90);
+      doc.text(fitted, 0, -fontSize, { width: length, align: "center", lineBreak: false });
+    } else {
+      doc.text(fitted, x, y, { width: length, align: "center", lineBreak: false });
+    }
+    doc.restore();
+  }
+}
+
+/**
+ * Where every card goes, page by page, without drawing anything. Shared by the
+ * PDF writer and the preview renderer so both always agree.
+ * Returns [{ ids, cards: [{ img, x, y, rotate }], captions: [{ text, box }] }],
+ * captions only on pages showing fronts.
+ */
+function planPages(pairs, { swapSides = false, duplex = null, profile = getLayoutProfile() } = {}) {
+  const pages = [];
+
+  if (duplex) {
+    const boxes = computeCardSlots(profile);
+    for (let start = 0; start < pairs.length; start += boxes.length) {
+      const sheetPairs = pairs.slice(start, start + boxes.length);
+      pages.push({
+        ids: sheetPairs.length,
+        cards: sheetPairs.map((pair, i) => ({ img: pair.front, x: boxes[i].x, y: boxes[i].y, rotate: false })),
+        captions: sheetPairs.map((pair, i) => ({ text: captionText(pair), box: { ...boxes[i], w: profile.card.w, h: profile.card.h } }))
+      });
+      pages.push({
+        ids: sheetPairs.length,
+        cards: sheetPairs.map((pair, i) => {
+          const box = mirrorCardBox(profile, boxes[i], duplex);
+          return { img: pair.back, x: box.x, y: box.y, rotate: box.rotate };
+        }),
+        captions: []
+      });
+    }
+    return pages;
+  }
+
+  const pairsPerPage = getPairsPerPage(profile);
+  for (let start = 0; start < pairs.length; start += pairsPerPage) {
+    const sheetPairs = pairs.slice(start, start + pairsPerPage);
+    const slots = computePairSlots(profile, sheetPairs.length, swapSides);
+    const fronts = sheetPairs.map((pair, i) => ({ img: pair.front, ...slots[i].front, rotate: false }));
+    const backs = sheetPairs.map((pair, i) => ({ img: pair.back, ...slots[i].back, rotate: false }));
+    // Caption box: the whole pair, or just the front when sides are on separate pages
+    const captions = sheetPairs.map((pair, i) => {
+      const { front, back } = slots[i];
+      const box = profile.sides === "pages"
+        ? { ...front, w: profile.card.w, h: profile.card.h }
+        : {
+          x: Math.min(front.x, back.x),
+          y: Math.min(front.y, back.y),
+          w: Math.max(front.x, back.x) - Math.min(front.x, back.x) + profile.card.w,
+          h: Math.max(front.y, back.y) - Math.min(front.y, back.y) + profile.card.h
+        };
+      return { text: captionText(pair), box };
+    });
+
+    if (profile.sides === "pages") {
+      // Fronts on one page, backs on the next (card stock feeds one side at a time)
+      pages.push({ ids: sheetPairs.length, cards: fronts, captions });
+      pages.push({ ids: sheetPairs.length, cards: backs, captions: [] });
+    } else {
+      pages.push({
+        ids: sheetPairs.length,
+        cards: sheetPairs.flatMap((_, i) => [fronts[i], backs[i]]),
+        captions
+      });
+    }
+  }
+  return pages;
+}
+
+/* ==========================
+   PDF passwords
+   ========================== */
+
+const PDF_PASSWORD_LENGTH = { min: 4, max: 64 };
+
+// Returns an error for the user, or null; never includes the password itself
+function validatePdfPassword(text) {
+  if (text.length < PDF_PASSWORD_LENGTH.min || text.length > PDF_PASSWORD_LENGTH.max) {
+    return `The password must be ${PDF_PASSWORD_LENGTH.min}-${PDF_PASSWORD_LENGTH.max} characters.`;
+  }
+  // Telegram commands match anywhere in a message, so a slash could trigger one
+  if (text.includes("/")) return "The password can't contain \"/\".";
+  if (/[\r\n]/.test(text)) return "The password must be on one line.";
+  return null;
+}
+
+/**
+ * PDFDocument options for an AES-256 PDF that opens with `password` and only
+ * allows printing. The owner password is random, so nobody can lift the
+ * restrictions with the open password.
+ */
+function pdfProtectionOptions(password) {
+  if (!password) return {};
+  return {
+    pdfVersion: "1.7ext3",
+    userPassword: password,
+    ownerPassword: crypto.randomBytes(24).toString("hex"),
+    permissions: {
+      printing: "highResolution",
+      modifying: false,
+      copying: false,
+      annotating: false,
+      fillingForms: false,
+      contentAccessibility: false,
+      documentAssembly: false
+    }
+  };
+}
+
+/**
+ * options:
+ *   flipImages - mirror every card image horizontally
+ *   swapSides  - exchange the front and back positions of each pair
+ *   duplex     - "long" | "short": fronts on odd pages, backs on even pages
+ *   profile    - layout profile from LAYOUT_PROFILES
+ *   calibration - per-printer correction, see applyCalibration
+ *   printMarks - { enabled, outline, bleedMm }: crop marks, cut outline and footer
+ *   onProgress - async (label, done, total) after each page; throwing aborts the PDF
+ *   password   - open password; the PDF is then encrypted and print-only
+ */
+async function makeMultiIdPdf(pairs, outPdf, options = {}) {
+  const {
+    flipImages = false,
+    profile = getLayoutProfile(),
+    calibration = null,
+    printMarks = null,
+    captions = null,
+    password = null
+  } = options;
+  const doc = new PDFDocument({ autoFirstPage: false, ...pdfProtectionOptions(password) });
+  const { w: cardW, h: cardH } = profile.card;
+  const marks = printMarks?.enabled ? printMarks : null;
+  const bleed = getPrintBleed(profile, marks);
+  const pages = planPages(pairs, options);
+  const generatedAt = new Date().toISOString().slice(0, 16).replace("T", " ");
+
+  // img is the decrypted image in encrypted mode, see readStoredImage
+  const drawCard = ({ img, x, y, rotate }) => {
+    // With bleed the image overshoots the cut line so a slightly off cut leaves no white edge
+    const bx = x - bleed;
+    const by = y - bleed;
+    const imageOptions = { width: cardW + bleed * 2, height: cardH + bleed * 2 };
+    if (rotate) {
+      doc.save();
+      doc.translate(bx + imageOptions.width, by + imageOptions.height);
+      doc.scale(-1, -1);  // Rotate 180°
+      doc.image(img, 0, 0, imageOptions);
+      doc.restore();
+    } else if (flipImages) {
+      doc.save();
+      doc.translate(bx + imageOptions.width, by);
+      doc.scale(-1, 1);  // Flip horizontally
+      doc.image(img, 0, 0, imageOptions);
+      doc.restore();
+    } else {
+      doc.image(img, bx, by, imageOptions);
+    }
+  };
+
+  // Encrypted mode keeps the PDF in memory until it can be written encrypted
+  const chunks = [];
+  const stream = storageKey ? null : fs.createWriteStream(outPdf);
+  const written = new Promise((resolve, reject) => {
+    if (!stream) {
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", resolve);
+      return;
+    }
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.pipe(stream);
+  });
+
+  try {
+    for (let idx = 0; idx < pages.length; idx++) {
+      const page = pages[idx];
+      doc.addPage({ size: [profile.pageWpt, profile.pageHpt], margin: 0 });
+      applyCalibration(doc, profile, calibration);
+      for (const card of page.cards) drawCard({ ...card, img: await readStoredImage(card.img) });
+
+      if (captions?.enabled) {
+        const clearance = bleed + (marks ? CROP_MARK_OFFSET + CROP_MARK_LENGTH : 0) + 1;
+        drawPairCaptions(doc, planPairCaptions(profile, page, { position: captions.position, clearance, footer: !!marks }));
+      }
+
+      if (marks) {
+        drawPrintMarks(doc, profile, page.cards, marks, bleed);
+        drawPageFooter(doc, profile, page.cards, `Page ${idx + 1}/${pages.length} · ${page.ids} ID(s) on page, ${pairs.length} total · ${generatedAt}`, bleed);
+      }
+
+      await options.onProgress?.("Page", idx + 1, pages.length);
+    }
+  } catch (e) {
+    if (stream) {
+      doc.unpipe(stream);
+      stream.destroy();
+    }
+    throw e;
+  }
+
+  doc.end();
+  await written;
+  if (!stream) await writeStoredFile(outPdf, Buffer.concat(chunks));
+  return outPdf;
+}
+
+/**
+ * Low-resolution PNG of every page as makeMultiIdPdf would lay it out,
+ * including flip, swap, duplex, calibration and bleed. Crop marks are left out.
+ * Returns the written file paths.
+ */
+async function renderPagePreviews(pairs, outDir, options = {}, dpi = 50) {
+  const { flipImages = false, profile = getLayoutProfile(), calibration = null } = options;
+  const pages = planPages(pairs, options);
+  const scale = dpi / 72;
+  const calScale = isIdentityCalibration(calibration) ? 1 : calibration.scalePct / 100;
+  const cx = profile.pageWpt / 2;
+  const cy = profile.pageHpt / 2;
+  // Same transform as applyCalibration, on coordinates instead of the PDF matrix
+  const toPx = (x, y) => {
+    if (isIdentityCalibration(calibration)) return { x: x * scale, y: y * scale };
+    return {
+      x: (cx + calibration.offsetXmm * MM + (x - cx) * calScale) * scale,
+      y: (cy + calibration.offsetYmm * MM + (y - cy) * calScale) * scale
+    };
+  };
+  const pageW = Math.round(profile.pageWpt * scale);
+  const pageH = Math.round(profile.pageHpt * scale);
+  // Images cover the card plus bleed, as drawCard places them
+  const bleed = getPrintBleed(profile, options.printMarks);
+  const imgW = Math.max(1, Math.round((profile.card.w + bleed * 2) * calScale * scale));
+  const imgH = Math.max(1, Math.round((profile.card.h + bleed * 2) * calScale * scale));
+
+  const thumbs = new Map();
+  const thumbnail = async (img, rotate) => {
+    const key = `${img}|${rotate}`;
+    if (!thumbs.has(key)) {
+      // EXIF orientation first; a second rotate() would replace it, so 180° is flip + flop
+      let pipeline = sharp(await readStoredImage(img)).rotate().resize(imgW, imgH, { fit: "fill" });
+      if (rotate) pipeline = pipeline.flip().flop();
+      else if (flipImages) pipeline = pipeline.flop();
+      thumbs.set(key, await pipeline.png().toBuffer());
+    }
+    return thumbs.get(key);
+  };
+
+  const files = [];
+  for (let idx = 0; idx < pages.length; idx++) {
+    const layers = [];
+    for (const card of pages[idx].cards) {
+      const pos = toPx(card.x - bleed, card.y - bleed);
+      const left = Math.round(pos.x);
+      const top = Math.round(pos.y);
+      // sharp refuses overlays that stick out of the page, so keep only the part on the sheet
+      const visible = { left: Math.max(0, -left), top: Math.max(0, -top) };
+      visible.width = Math.min(imgW, pageW - left) - visible.left;
+      visible.height = Math.min(imgH, pageH - top) - visible.top;
+      if (visible.width <= 0 || visible.height <= 0) continue;
+      let input = await thumbnail(card.img, card.rotate);
+      if (visible.width < imgW || visible.height < imgH) input = await sharp(input).extract(visible).png().toBuffer();
+      layers.push({ input, left: left + visible.left, top: top + visible.top });
+    }
+    const outFile = path.join(outDir, `preview_${idx + 1}.png`);
+    await writeStoredImage(
+      sharp({ create: { width: pageW, height: pageH, channels: 3, background: "#ffffff" } }).composite(layers).png(),
+      outFile
+    );
+    files.push(outFile);
+    await options.onProgress?.("Preview page", idx + 1, pages.length);
+  }
+  return files;
+}
+
+/* ======================
+   3) Telegram bot logic
+   ====================== */
+
+bot.onText(/\/start/, async (msg) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  state.set(chatId, createInitialState());
+  persistSession(chatId);
+  await bot.sendMessage(
+    chatId,
+    [
+      "✅ Send unlimited images with separators! Auto-multi-page support.",
+      "",
+      "📸 How to send images:",
+      "",
+      "Method 1 (Recommended): With Caption",
+      "• Send 2 images with captions 'Front' and 'Back'",
+      "• Send ANY TEXT to separate IDs (e.g., 'next', '2', 'ID2')",
+      "• Send next 2 images for next ID",
+      "• Example: Front, Back, 'next', Front, Back, 'next', ...",
+      "",
+      "Method 2: Album",
+      "• Send front and back together as one album",
+      "• Each 2 images become one ID (first = front, second = back)",
+      "",
+      "Method 3: Sequential (/mode sequential)",
+      "• Just send front, back, front, back... in order, no captions",
+      "",
+      "Method 4: Manual tagging",
+      "1) Send 2 images",
+      "2) Type: front, back (or /front /back) - reply to a photo to tag that exact one, or tap its buttons",
+      "3) Send ANY TEXT to separate (e.g., 'next')",
+      "4) Repeat for more IDs",
+      "",
+      "Method 5: ZIP archive",
+      "• Send a .zip with files like 123_front.jpg + 123_back.jpg, or one folder per person",
+      "",
+      "Scanned PDFs are split into pages, HEIC/TIFF files are converted - tag them like photos.",
+      "",
+      "When done:",
+      "📄 /pdf - generates PDF with all IDs (multi-page if needed)",
+      "🔒 Tap 'Protect with password' there for a PDF that needs a password to open and only allows printing",
+      "",
+      "🎯 **New Feature**: Persistent Template UI appears immediately after first image and updates in real-time!",
+      "",
+      "Commands:",
+      "/status - check current progress",
+      "/reset - clear all and start over",
+      "/next - manually start next ID group",
+      "/undo - revert the last front/back tag or separator",
+      "/remove <id> [front|back], /swap <id>, /delete <id> - fix an ID group",
+      "/move <from> <to> or /order - change the order of IDs in the PDF",
+      "/layout - choose page layout (PUB A4, US Letter, A4 2-up, CR80)",
+      "/calibrate - printer test page and position correction",
+      "/marks - crop marks, bleed and cut guides",
+      "/overlay - watermark text or logo on the cards",
+      "/captions - print each ID's number and separator text next to it",
+      "/autocrop - detect and straighten cards in phone photos",
+      "/rotate, /mirror, /bright, /contrast, /crop, /revert - fix one image (e.g. /rotate 3 back 90)",
+      "",
+      "✅ Supports unlimited IDs! 5 IDs per page (PUB layout), auto-paginated."
+    ].join("\n")
+  );
+});
+
+bot.onText(/\/reset/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  registerChatId(chatId);
+
+  // Admins wipe everything except roles and bans
+  if (hasRole(userId, "admin")) {
+    try {
+      for (const job of [...renderQueue, ...runningJobs.values()]) await cancelRenderJob(job.chatId, job.id);
+      // Admin: Delete entire data folder
+      if (fs.existsSync(ROOT)) {
+        fs.rmSync(ROOT, { recursive: true, force: true });
+        fs.mkdirSync(ROOT, { recursive: true });
+      }
+
+      // Clear all chat states
+      state.clear();
+      knownChats.clear();
+      persistKnownChats();
+      chatSettings.clear();
+      // Roles, bans and the allowlist survive the wipe
+      persistAccess();
+
+      await bot.sendMessage(chatId, "🔐 Admin Reset: All data deleted from server.");
+    } catch (e) {
+      await bot.sendMessage(chatId, `❌ Admin reset failed: ${e.message}`);
+    }
+  } else {
+    // Regular user: Reset only their own state and delete their folder
+    try {
+      await cancelChatRenderJobs(chatId);
+      const userDir = path.join(ROOT, String(chatId));
+      if (fs.existsSync(userDir)) {
+        fs.rmSync(userDir, { recursive: true, force: true });
+      }
+
+      state.set(chatId, createInitialState());
+      await bot.sendMessage(chatId, "✅ Reset done. Your data cleared.");
+    } catch (e) {
+      await bot.sendMessage(chatId, `⚠️ Reset failed: ${e.message}`);
+    }
+  }
+});
+
+bot.onText(/\/next/, async (msg) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  const st = getState(chatId);
+  startNextGroup(st);
+  persistSession(chatId);
+  await bot.sendMessage(chatId, `✅ Group #${st.currentGroup + 1} started.`);
+});
+
+bot.onText(/\/status/, async (msg) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  const st = getState(chatId);
+
+  const groups = st.imageGroups || [[]];
+  const currentGroupNum = (st.currentGroup || 0) + 1;
+  const totalGroups = groups.filter(g => g.length > 0).length;
+
+  let statusMsg = `📊 Current Status:\n\n`;
+  statusMsg += `� ID Groups: ${totalGroups}\n`;
+  statusMsg += `🔄 Current group: #${currentGroupNum}\n\n`;
+
+  for (let i = 0; i < groups.length; i++) {
+    if (groups[i].length > 0) {
+      const fronts = groups[i].filter(img => img.type === 'front').length;
+      const backs = groups[i].filter(img => img.type === 'back').length;
+      const name = getGroupName(st, i);
+      statusMsg += `ID #${i + 1}${name ? ` "${name}"` : ""}: ${fronts} front(s), ${backs} back(s)\n`;
+    }
+  }
+
+  statusMsg += `\n💡 Send text to start next ID, or /pdf to generate`;
+
+  await bot.sendMessage(chatId, statusMsg);
+});
+
+bot.onText(/\/layout(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+
+  const requested = match?.[1]?.trim().toLowerCase();
+  if (requested) {
+    if (!LAYOUT_PROFILES[requested]) {
+      await bot.sendMessage(chatId, `Unknown layout '${requested}'. Available: ${Object.keys(LAYOUT_PROFILES).join(", ")}`);
+      return;
+    }
+    updateChatSettings(chatId, { layout: requested });
+    await bot.sendMessage(chatId, `📐 Layout set to ${describeLayout(LAYOUT_PROFILES[requested])}.`);
+    return;
+  }
+
+  const current = getChatLayout(chatId);
+  const lines = Object.entries(LAYOUT_PROFILES).map(([name, profile]) => `• ${name} - ${describeLayout(profile)}`);
+  await bot.sendMessage(
+    chatId,
+    `📐 Current layout: ${LAYOUT_PROFILES[current].label}\n\n${lines.join("\n")}\n\nTap a layout or send /layout <name>.`,
+    { reply_markup: createLayoutKeyboard(current) }
+  );
+});
+
+bot.onText(/\/calibrate(?:\s+([\s\S]+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  if (!(await ensureChatAllowed(chatId, msg.from.id))) return;
+
+  const args = match?.[1]?.trim() || "";
+  const profile = getLayoutProfile(getChatLayout(chatId));
+
+  if (args.toLowerCase() === "reset") {
+    updateChatSettings(chatId, { calibration: null });
+    await bot.sendMessage(chatId, "🎯 Calibration cleared. PDFs use the exact layout positions again.");
+    return;
+  }
+
+  if (args && args.toLowerCase() !== "check") {
+    const { calibration, error } = parseCalibrationArgs(args);
+    if (error) {
+      await bot.sendMessage(chatId, `⚠️ ${error}`);
+      return;
+    }
+    updateChatSettings(chatId, { calibration });
+    await bot.sendMessage(chatId, `🎯 Calibration saved: ${formatCalibration(calibration)}.\nSend /calibrate check to print a test page with it applied.`);
+    return;
+  }
+
+  const check = args.toLowerCase() === "check";
+  const jobDir = path.join(ROOT, String(chatId), uuidv4());
+  ensureDir(jobDir);
+
+  try {
+    const outPdf = path.join(jobDir, "calibration.pdf");
+    await makeCalibrationPdf(outPdf, profile, check ? getChatCalibration(chatId) : null);
+    await bot.sendDocument(chatId, outPdf, {}, { filename: `calibration_${getChatLayout(chatId)}${check ? "_check" : ""}.pdf` });
+    await bot.sendMessage(
+      chatId,
+      [
+        "🎯 Print this page at 100% (no \"fit to page\") and measure it.",
+        "",
+        "• X = expected minus measured distance of the centre crosshair from the left edge (mm)",
+        "• Y = expected minus measured distance from the top edge (mm)",
+        "• Scale = expected ÷ measured length of the reference line × 100",
+        "",
+        "Then send: /calibrate <x_mm> <y_mm> [scale_%]  e.g. /calibrate 1.5 -0.8 99.5",
+        "/calibrate check - test page with corrections applied",
+        "/calibrate reset - remove corrections",
+        "",
+        `Current corrections: ${formatCalibration(getChatCalibration(chatId))}`
+      ].join("\n")
+    );
+  } catch (e) {
+    await bot.sendMessage(chatId, `Failed: ${e.message}`);
+  }
+});
+
+bot.onText(/\/marks(?:\s+([\s\S]+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+
+  const args = (match?.[1] || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const marks = getChatPrintMarks(chatId);
+  const usage = [
+    "/marks on | off - crop marks and page footer",
+    "/marks outline on | off - thin cut outline around each card",
+    `/marks bleed <mm> - extend images past the cut line (0-${PRINT_MARK_LIMITS.maxBleedMm}mm)`
+  ].join("\n");
+
+  if (args.length === 0) {
+    await bot.sendMessage(chatId, `✂️ Print marks: ${formatPrintMarks(marks)}\n\n${usage}`);
+    return;
+  }
+
+  const [option, value] = args;
+  if ((option === "on" || option === "off") && args.length === 1) {
+    marks.enabled = option === "on";
+  } else if (option === "outline" && (value === "on" || value === "off")) {
+    marks.outline = value === "on";
+    if (marks.outline) marks.enabled = true;
+  } else if (option === "bleed" && value !== undefined) {
+    const bleedMm = Number(value.replace(",", "."));
+    if (!Number.isFinite(bleedMm) || bleedMm < 0 || bleedMm > PRINT_MARK_LIMITS.maxBleedMm) {
+      await bot.sendMessage(chatId, `⚠️ Bleed must be between 0 and ${PRINT_MARK_LIMITS.maxBleedMm}mm.`);
+      return;
+    }
+    marks.bleedMm = Math.round(bleedMm * 10) / 10;
+    if (marks.bleedMm > 0) marks.enabled = true;
+  } else {
+    await bot.sendMessage(chatId, `⚠️ Unknown option.\n\n${usage}`);
+    return;
+  }
+
+  updateChatSettings(chatId, { printMarks: marks });
+  const profile = getLayoutProfile(getChatLayout(chatId));
+  const maxBleedMm = Math.floor((maxBleedForProfile(profile) / MM) * 10) / 10;
+  const note = marks.enabled && marks.bleedMm > maxBleedMm
+    ? `\nℹ️ ${profile.label} only has room for ${maxBleedMm}mm of bleed between cards, so PDFs use ${maxBleedMm}mm.`
+    : "";
+  await bot.sendMessage(chatId, `✂️ Print marks: ${formatPrintMarks(marks)}${note}`);
+});
+
+bot.onText(/^\/captions\b(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+
+  const value = match?.[1]?.trim().toLowerCase();
+  const captions = getChatCaptions(chatId);
+  const usage = [
+    "/captions on | off - print a serial number and the group name (the text you sent before the ID) with each pair",
+    "/captions beside | under - left of the pair, or below it when the layout leaves room"
+  ].join("\n");
+
+  if (!value) {
+    await bot.sendMessage(chatId, `🏷 Captions: ${formatCaptions(captions)}\n\n${usage}`);
+    return;
+  }
+  if (value === "on" || value === "off") {
+    captions.enabled = value === "on";
+  } else if (value === "beside" || value === "under") {
+    captions.position = value;
+    captions.enabled = true;
+  } else {
+    await bot.sendMessage(chatId, `⚠️ Unknown option.\n\n${usage}`);
+    return;
+  }
+
+  updateChatSettings(chatId, { captions });
+  await bot.sendMessage(chatId, `🏷 Captions: ${formatCaptions(captions)}`);
+});
+
+bot.onText(/^\/overlay\b(?:\s+([\s\S]+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  const st = getState(chatId);
+
+  const [optionArg = "", ...rest] = (match?.[1] || "").trim().split(/\s+/);
+  const option = optionArg.toLowerCase();
+  const value = rest.join(" ").trim();
+  const overlay = getChatOverlay(chatId);
+  const usage = [
+    "/overlay text <words> - e.g. /overlay text SAMPLE ({side} prints FRONT/BACK), /overlay text off",
+    "/overlay logo - then send a PNG as a file; /overlay logo off removes it",
+    `/overlay position <${Object.keys(OVERLAY_POSITIONS).join(" | ")}>`,
+    "/overlay opacity <5-100> - percent",
+    "/overlay rotate <-180 to 180> - degrees",
+    `/overlay size <${OVERLAY_LIMITS.minFontSize}-${OVERLAY_LIMITS.maxFontSize}> - text height in pt (the logo is twice as tall)`,
+    "/overlay sides <front | back | both>",
+    "/overlay on | off | reset"
+  ].join("\n");
+  const number = Number(value.replace(",", "."));
+
+  if (!option) {
+    await bot.sendMessage(chatId, `🖋 Overlay: ${formatOverlay(overlay)}\n\n${usage}`);
+    return;
+  }
+
+  if ((option === "on" || option === "off") && !value) {
+    overlay.enabled = option === "on";
+  } else if (option === "reset" && !value) {
+    updateChatSettings(chatId, { overlay: null });
+    await fs.promises.rm(overlayLogoPath(chatId), { force: true });
+    await bot.sendMessage(chatId, `🖋 Overlay settings cleared: ${formatOverlay(getChatOverlay(chatId))}`);
+    return;
+  } else if (option === "text" && value) {
+    // Control characters have no business in a watermark
+    const text = value.replace(/[\u0000-\u001f\u007f]/g, " ").trim();
+    if ([...text].length > OVERLAY_LIMITS.maxTextLength) {
+      await bot.sendMessage(chatId, `⚠️ Overlay text can be at most ${OVERLAY_LIMITS.maxTextLength} characters.`);
+      return;
+    }
+    overlay.text = text.toLowerCase() === "off" ? "" : text;
+    if (overlay.text) overlay.enabled = true;
+  } else if (option === "logo" && value.toLowerCase() === "off") {
+    overlay.logo = false;
+    await fs.promises.rm(overlayLogoPath(chatId), { force: true });
+  } else if (option === "logo" && !value) {
+    st.awaitingOverlayLogo = true;
+    await bot.sendMessage(chatId, "🖼 Send the logo as a PNG file (attach it as a file, not a photo, so transparency is kept), or /cancel.");
+    return;
+  } else if (option === "position" && OVERLAY_POSITIONS[value.toLowerCase()]) {
+    overlay.position = value.toLowerCase();
+  } else if (option === "opacity" && value && number >= 5 && number <= 100) {
+    overlay.opacity = Math.round(number) / 100;
+  } else if (option === "rotate" && value && number >= -180 && number <= 180) {
+    overlay.rotation = Math.round(number);
+  } else if (option === "size" && value && number >= OVERLAY_LIMITS.minFontSize && number <= OVERLAY_LIMITS.maxFontSize) {
+    overlay.fontSize = Math.round(number);
+  } else if (option === "sides" && ["front", "back", "both"].includes(value.toLowerCase())) {
+    overlay.sides = value.toLowerCase();
+  } else {
+    await bot.sendMessage(chatId, `⚠️ Unknown option or value.\n\n${usage}`);
+    return;
+  }
+
+  updateChatSettings(chatId, { overlay });
+  await bot.sendMessage(chatId, `🖋 Overlay: ${formatOverlay(overlay)}`);
+});
+
+bot.onText(/\/autocrop(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+
+  const value = match?.[1]?.trim().toLowerCase();
+  if (value === "on" || value === "off") {
+    updateChatSettings(chatId, { autoCrop: value === "on" });
+  } else if (value) {
+    await bot.sendMessage(chatId, "Use /autocrop on or /autocrop off.");
+    return;
+  }
+
+  const enabled = !!getChatSettings(chatId).autoCrop;
   await bot.sendMessage(
     chatId,
-    [
-      "✅ Send unlimited images with separators! Auto-multi-page support.",
-      "",
-      "📸 How to send images:",
-      "",
-      "Method 1 (Recommended): With Caption",
-      "• Send 2 images with captions 'Front' and 'Back'",
-      "• Send ANY TEXT to separate IDs (e.g., 'next', '2', 'ID2')",
-      "• Send next 2 images for next ID",
-      "• Example: Front, Back, 'next', Front, Back, 'next', ...",
-      "",
-      "Method 2: Manual tagging",
-      "1) Send 2 images",
-      "2) Type: front, back (or /front /back)",
-      "3) Send ANY TEXT to separate (e.g., 'next')",
-      "4) Repeat for more IDs",
-      "",
-      "When done:",
-      "📄 /pdf - generates PDF with all IDs (multi-page if needed)",
-      "",
-      "🎯 **New Feature**: Persistent Template UI appears immediately after first image and updates in real-time!",
-      "",
-      "Commands:",
-      "/status - check current progress",
-      "/reset - clear all and start over",
-      "/next - manually start next ID group",
-      "",
-      "✅ Supports unlimited IDs! 5 IDs per page, auto-paginated."
-    ].join("\n")
+    enabled
+      ? "✂️ Auto-crop is ON. Photos of cards lying on a table are detected, straightened and cropped; you'll get a preview to accept or keep the original."
+      : "✂️ Auto-crop is OFF. Images are used exactly as sent. Turn it on with /autocrop on."
   );
 });
 
-bot.onText(/\/reset/, async (msg) => {
+bot.onText(/^\/(rotate|mirror|bright|contrast|crop|revert)\b(?:\s+([\s\S]+))?/, async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
   registerChatId(chatId);
+  const st = getState(chatId);
 
-  // Check if user is admin
-  if (ADMIN_ID && userId === ADMIN_ID) {
-    try {
-      // Admin: Delete entire data folder
-      if (fs.existsSync(ROOT)) {
-        fs.rmSync(ROOT, { recursive: true, force: true });
-        fs.mkdirSync(ROOT, { recursive: true });
-      }
+  const command = match[1];
+  const [idArg, sideArg, ...rest] = (match[2] || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const usage = command === "revert" ? "/revert <id> <front|back>" : IMAGE_EDITS[command].usage;
+  const id = parseInt(idArg);
+  if (!Number.isInteger(id) || (sideArg !== "front" && sideArg !== "back")) {
+    await bot.sendMessage(chatId, `Use: ${usage}\nIDs are the numbers shown in /status.`);
+    return;
+  }
 
-      // Clear all chat states
-      state.clear();
-      knownChats.clear();
-      persistKnownChats();
+  await queueLabel(st, async () => {
+    const item = findGroupImage(st, id, sideArg);
+    if (!item) {
+      await bot.sendMessage(chatId, `ID #${id} has no ${sideArg} image. Check /status.`);
+      return;
+    }
 
-      await bot.sendMessage(chatId, "🔐 Admin Reset: All data deleted from server.");
-    } catch (e) {
-      await bot.sendMessage(chatId, `❌ Admin reset failed: ${e.message}`);
+    const originalPath = item.originalPath || item.path;
+    let edits;
+    if (command === "revert") {
+      if (!item.originalPath) {
+        await bot.sendMessage(chatId, `ID #${id} ${sideArg} has no edits.`);
+        return;
+      }
+      edits = [];
+    } else {
+      const edit = IMAGE_EDITS[command].parse(rest);
+      if (typeof edit === "string") {
+        await bot.sendMessage(chatId, `⚠️ ${edit}\nUse: ${usage}`);
+        return;
+      }
+      edits = [...(item.edits || []), edit];
     }
-  } else {
-    // Regular user: Reset only their own state and delete their folder
+
     try {
-      const userDir = path.join(ROOT, String(chatId));
-      if (fs.existsSync(userDir)) {
-        fs.rmSync(userDir, { recursive: true, force: true });
+      const previousPath = item.path;
+      let nextPath = originalPath;
+      if (edits.length > 0) {
+        const { dir, name } = path.parse(originalPath);
+        nextPath = path.join(dir, `${name}_edit_${Date.now()}.jpg`);
+        await renderImageEdits(originalPath, edits, nextPath);
       }
 
-      state.set(chatId, {
-        pairs: [],
-        fronts: [],
-        backs: [],
-        currentGroup: 0,
-        imageGroups: [[]],
-        lastImagePath: null,
-        lastImageOrder: null,
-        pendingImages: [],
-        awaitingNews: false,
-        uiShown: false,
-        uiMessageId: null
-      });
-      await bot.sendMessage(chatId, "✅ Reset done. Your data cleared.");
+      replaceImagePath(st, previousPath, nextPath);
+      if (edits.length > 0) {
+        item.originalPath = originalPath;
+        item.edits = edits;
+      } else {
+        delete item.originalPath;
+        delete item.edits;
+      }
+      if (previousPath !== originalPath) await fs.promises.rm(previousPath, { force: true });
+      persistSession(chatId);
+
+      const summary = edits.length > 0
+        ? `${edits.length} edit(s) applied. /revert ${id} ${sideArg} to undo all.`
+        : "reverted to the original.";
+      await sendImageThumbnail(chatId, nextPath, `✏️ ID #${id} ${sideArg}: ${summary}`);
     } catch (e) {
-      await bot.sendMessage(chatId, `⚠️ Reset failed: ${e.message}`);
+      await bot.sendMessage(chatId, `Edit failed: ${e.message}`);
     }
-  }
+  });
 });
 
-bot.onText(/\/next/, async (msg) => {
+// Parse "<id>" from a command, as numbered in /status; returns the group index or null
+function parseGroupId(st, arg) {
+  const id = parseInt(arg);
+  if (!Number.isInteger(id) || id < 1 || id > (st.imageGroups || []).length) return null;
+  return id - 1;
+}
+
+bot.onText(/^\/undo\b/, async (msg) => {
   const chatId = msg.chat.id;
   registerChatId(chatId);
   const st = getState(chatId);
-  st.currentGroup = (st.currentGroup || 0) + 1;
-  if (!st.imageGroups[st.currentGroup]) {
-    st.imageGroups[st.currentGroup] = [];
-  }
-  await bot.sendMessage(chatId, `✅ Group #${st.currentGroup + 1} started.`);
+
+  await queueLabel(st, async () => {
+    // Sequential mode would just relabel a re-queued image, so drop it instead
+    const result = undoLast(st, { requeue: !isSequentialMode(chatId) });
+    if (!result) {
+      await bot.sendMessage(chatId, "Nothing to undo.");
+      return;
+    }
+    await showTemplateUI(chatId, st);
+    await bot.sendMessage(chatId, `↩️ Undone: ${result}.`);
+  });
 });
 
-bot.onText(/\/status/, async (msg) => {
+bot.onText(/^\/remove\b(?:\s+(\S+))?(?:\s+(\S+))?/, async (msg, match) => {
   const chatId = msg.chat.id;
   registerChatId(chatId);
   const st = getState(chatId);
 
-  const groups = st.imageGroups || [[]];
-  const currentGroupNum = (st.currentGroup || 0) + 1;
-  const totalGroups = groups.filter(g => g.length > 0).length;
-
-  let statusMsg = `📊 Current Status:\n\n`;
-  statusMsg += `� ID Groups: ${totalGroups}\n`;
-  statusMsg += `🔄 Current group: #${currentGroupNum}\n\n`;
-
-  for (let i = 0; i < groups.length; i++) {
-    if (groups[i].length > 0) {
-      const fronts = groups[i].filter(img => img.type === 'front').length;
-      const backs = groups[i].filter(img => img.type === 'back').length;
-      statusMsg += `ID #${i + 1}: ${fronts} front(s), ${backs} back(s)\n`;
+  await queueLabel(st, async () => {
+    const groupIdx = parseGroupId(st, match?.[1]);
+    const side = match?.[2]?.toLowerCase();
+    if (groupIdx === null || (side && side !== "front" && side !== "back")) {
+      await bot.sendMessage(chatId, "Use: /remove <id> [front|back]\nWithout a side the newest image of that ID is removed.");
+      return;
     }
-  }
 
-  statusMsg += `\n💡 Send text to start next ID, or /pdf to generate`;
+    const group = st.imageGroups[groupIdx];
+    const candidates = side ? group.filter((img) => img.type === side) : group;
+    const item = [...candidates].sort((a, b) => b.seq - a.seq)[0];
+    if (!item) {
+      await bot.sendMessage(chatId, side ? `ID #${groupIdx + 1} has no ${side} image.` : `ID #${groupIdx + 1} is empty.`);
+      return;
+    }
 
-  await bot.sendMessage(chatId, statusMsg);
+    removeGroupImage(st, groupIdx, item);
+    await showTemplateUI(chatId, st);
+    await bot.sendMessage(chatId, `🗑 Removed ${item.type} from ID #${groupIdx + 1}.`);
+  });
 });
 
-bot.onText(/\/front/, async (msg) => {
+bot.onText(/^\/swap\b(?:\s+(\S+))?/, async (msg, match) => {
   const chatId = msg.chat.id;
   registerChatId(chatId);
   const st = getState(chatId);
-  await queueLabel(st, async () => {
-    // No limit on front images - multi-page support
 
-    const img = await takePendingImage(st);
-    if (!img) return bot.sendMessage(chatId, "Send an image first, then /front.");
+  await queueLabel(st, async () => {
+    const groupIdx = parseGroupId(st, match?.[1]);
+    if (groupIdx === null || st.imageGroups[groupIdx].length === 0) {
+      await bot.sendMessage(chatId, "Use: /swap <id> - exchanges front and back of an ID from /status.");
+      return;
+    }
 
-    const counts = addLabeledImage(st, "front", img.path, img.seq);
-    const frontCount = counts.frontCount;
-    const backCount = counts.backCount;
-    
-    // Update template UI immediately (creates new or updates existing)
+    swapGroupSides(st, groupIdx);
     await showTemplateUI(chatId, st);
-    
-    // Then send confirmation message
-    await bot.sendMessage(chatId, `?o. FRONT #${frontCount}. Total: ${frontCount} fronts, ${backCount} backs. /pdf`);
+    await bot.sendMessage(chatId, `🔁 Front and back swapped for ID #${groupIdx + 1}.`);
   });
 });
 
-bot.onText(/\/back/, async (msg) => {
+bot.onText(/^\/delete\b(?:\s+(\S+))?/, async (msg, match) => {
   const chatId = msg.chat.id;
   registerChatId(chatId);
   const st = getState(chatId);
-  await queueLabel(st, async () => {
-    // No limit on back images - multi-page support
 
-    const img = await takePendingImage(st);
-    if (!img) return bot.sendMessage(chatId, "Send an image first, then /back.");
+  await queueLabel(st, async () => {
+    const groupIdx = parseGroupId(st, match?.[1]);
+    if (groupIdx === null) {
+      await bot.sendMessage(chatId, "Use: /delete <id> - removes a whole ID from /status.");
+      return;
+    }
 
-    const counts = addLabeledImage(st, "back", img.path, img.seq);
-    const frontCount = counts.frontCount;
-    const backCount = counts.backCount;
-    
-    // Update template UI immediately (creates new or updates existing)
+    deleteGroup(st, groupIdx);
     await showTemplateUI(chatId, st);
-    
-    // Then send confirmation message
-    await bot.sendMessage(chatId, `?o. BACK #${backCount}. Total: ${frontCount} fronts, ${backCount} backs. /pdf`);
+    await bot.sendMessage(chatId, `🗑 ID #${groupIdx + 1} deleted. Check /status for the new numbering.`);
+  });
+});
+
+bot.onText(/^\/move\b(?:\s+(\S+))?(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  const st = getState(chatId);
+
+  await queueLabel(st, async () => {
+    const from = parseGroupId(st, match?.[1]);
+    const to = parseGroupId(st, match?.[2]);
+    if (from === null || to === null) {
+      await bot.sendMessage(chatId, "Use: /move <from> <to> with ID numbers from /status, e.g. /move 5 1.\nOr /order for buttons.");
+      return;
+    }
+
+    moveGroup(st, from, to);
+    persistSession(chatId);
+    await bot.sendMessage(chatId, `↕️ ID #${from + 1} is now ID #${to + 1}. Check /status for the new numbering.`);
   });
 });
 
+bot.onText(/^\/order\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  const st = getState(chatId);
+
+  const { text, keyboard } = createReorderView(st);
+  await bot.sendMessage(chatId, text, { reply_markup: keyboard });
+});
+
+bot.onText(/^\/mode\b(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  const st = getState(chatId);
+
+  const value = match?.[1]?.trim().toLowerCase();
+  if (value === "sequential" || value === "manual") {
+    updateChatSettings(chatId, { mode: value });
+  } else if (value) {
+    await bot.sendMessage(chatId, "Use /mode sequential or /mode manual.");
+    return;
+  }
+
+  if (isSequentialMode(chatId)) {
+    const waiting = st.pendingImages?.length || 0;
+    await bot.sendMessage(
+      chatId,
+      [
+        "🔢 Mode: SEQUENTIAL",
+        "Send images in order front, back, front, back... - no captions or tags needed.",
+        "Every front starts a new ID. /undo, /remove and /swap fix mistakes.",
+        ...(waiting > 0 ? ["", `${waiting} untagged image(s) already waiting will be labelled first.`] : []),
+        "",
+        "/mode manual - back to captions and front/back tags"
+      ].join("\n")
+    );
+  } else {
+    await bot.sendMessage(
+      chatId,
+      "🏷 Mode: MANUAL\nTag images with captions or front/back, and separate IDs with any text.\n\n/mode sequential - label by upload order instead"
+    );
+  }
+});
+
+bot.onText(/\/front/, async (msg) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  const st = getState(chatId);
+  // No limit on front images - multi-page support
+  await tagPendingImage(chatId, st, "front", msg.reply_to_message, "Send an image first, then /front.");
+});
+
+bot.onText(/\/back/, async (msg) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  const st = getState(chatId);
+  // No limit on back images - multi-page support
+  await tagPendingImage(chatId, st, "back", msg.reply_to_message, "Send an image first, then /back.");
+});
+
 bot.onText(/\/pdf/, async (msg) => {
   const chatId = msg.chat.id;
   registerChatId(chatId);
   const st = getState(chatId);
+  if (!(await ensureChatAllowed(chatId, msg.from.id))) return;
 
   const groups = st.imageGroups || [[]];
-  const { pairs, incompleteGroups } = buildPairsFromGroups(groups);
+  const { pairs, incompleteGroups } = buildPairsFromGroups(groups, st.groupNames);
 
   if (incompleteGroups > 0) {
     await bot.sendMessage(
@@ -666,25 +4185,9 @@ bot.onText(/\/pdf/, async (msg) => {
 
   // Store pairs in state for callback handler
   st.pendingPairs = pairs;
+  persistSession(chatId);
 
-  // Show orientation selection buttons
-  const keyboard = {
-    inline_keyboard: [
-      [
-        { text: "📄 Normal", callback_data: "pdf_normal" },
-        { text: "Reverse", callback_data: "pdf_reverse" }
-      ],
-      [
-        { text: "🔄 Flip + Reverse", callback_data: "pdf_flip" }
-      ]
-    ]
-  };
-
-  await bot.sendMessage(
-    chatId,
-    `📋 Ready to generate PDF with ${pairs.length} ID(s).\n\nChoose orientation:\nNormal = front left, back right\nReverse = back left, front right\nFlip + Reverse = mirror images + swap sides\n\n📄 Multi-page auto-generated if more than 5 IDs.`,
-    { reply_markup: keyboard }
-  );
+  await sendPdfOptions(chatId, pairs);
 });
 
 bot.onText(/\/news(?:\s+([\s\S]+))?/, async (msg, match) => {
@@ -692,7 +4195,7 @@ bot.onText(/\/news(?:\s+([\s\S]+))?/, async (msg, match) => {
   const userId = msg.from.id;
   registerChatId(chatId);
 
-  if (!ADMIN_ID || userId !== ADMIN_ID) {
+  if (!hasRole(userId, "admin")) {
     await bot.sendMessage(chatId, "Not authorized.");
     return;
   }
@@ -710,10 +4213,180 @@ bot.onText(/\/news(?:\s+([\s\S]+))?/, async (msg, match) => {
   await bot.sendMessage(chatId, `News sent to ${result.sent}/${result.total}. Failed: ${result.failed}.`);
 });
 
+bot.onText(/^\/storage\b(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  registerChatId(chatId);
+
+  if (!hasRole(userId, "admin")) {
+    await bot.sendMessage(chatId, "Not authorized.");
+    return;
+  }
+
+  if ((match?.[1] || "").toLowerCase() === "sweep") {
+    const stats = await sweepStorage();
+    if (!stats) {
+      await bot.sendMessage(chatId, "A sweep is already running, try again in a moment.");
+      return;
+    }
+  }
+
+  try {
+    await bot.sendMessage(chatId, await buildStorageReport());
+  } catch (e) {
+    await bot.sendMessage(chatId, `⚠️ Storage report failed: ${e.message}`);
+  }
+});
+
+async function requireRole(msg, role) {
+  if (hasRole(msg.from?.id, role)) return true;
+  await bot.sendMessage(msg.chat.id, "Not authorized.");
+  return false;
+}
+
+function describeAccess() {
+  const list = (set) => (set.size > 0 ? Array.from(set).sort((a, b) => a - b).join(", ") : "none");
+  return [
+    "👥 Roles",
+    `Owner: ${OWNER_ID ?? "not set (OWNER_ID in .env)"}`,
+    `Admins: ${list(access.admins)}`,
+    `Operators: ${list(access.operators)}`,
+    "",
+    `🔒 Allowlist: ${access.allowlistEnabled ? "on, only approved chats can generate PDFs" : "off, every chat can generate PDFs"}`,
+    `Approved chats: ${list(access.allowedChats)}`,
+    `🚫 Banned: ${list(access.banned)}`
+  ].join("\n");
+}
+
+bot.onText(/^\/roles\b/, async (msg) => {
+  registerChatId(msg.chat.id);
+  if (!(await requireRole(msg, "operator"))) return;
+  await bot.sendMessage(msg.chat.id, describeAccess());
+});
+
+// /admin add|remove <userId> (owner), /operator add|remove <userId> (admins)
+bot.onText(/^\/(admin|operator)\b(?:\s+(\S+))?(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  const role = match[1];
+  if (!(await requireRole(msg, role === "admin" ? "owner" : "admin"))) return;
+
+  const action = (match[2] || "").toLowerCase();
+  const userId = parseAccessId(match[3]);
+  if (!["add", "remove"].includes(action) || userId === null) {
+    await bot.sendMessage(chatId, `Usage: /${role} add <user id> or /${role} remove <user id>`);
+    return;
+  }
+  if (userId === OWNER_ID) {
+    await bot.sendMessage(chatId, "⚠️ The owner's role can't be changed here.");
+    return;
+  }
+  // Admins can't demote each other through /operator
+  if (role === "operator" && access.admins.has(userId) && !hasRole(msg.from.id, "owner")) {
+    await bot.sendMessage(chatId, "⚠️ That user is an admin; only the owner can change their role.");
+    return;
+  }
+
+  const set = role === "admin" ? access.admins : access.operators;
+  const label = role === "admin" ? "an admin" : "an operator";
+  if (action === "add") {
+    // One role per user
+    access.admins.delete(userId);
+    access.operators.delete(userId);
+    access.banned.delete(userId);
+    set.add(userId);
+  } else if (!set.delete(userId)) {
+    await bot.sendMessage(chatId, `${userId} is not ${label}.`);
+    return;
+  }
+  persistAccess();
+  await bot.sendMessage(chatId, `✅ ${userId} ${action === "add" ? "is now" : "is no longer"} ${label}.`);
+});
+
+bot.onText(/^\/(ban|unban)\b(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  if (!(await requireRole(msg, "admin"))) return;
+
+  const command = match[1];
+  const id = parseAccessId(match[2]);
+  if (id === null) {
+    await bot.sendMessage(chatId, `Usage: /${command} <user or chat id>`);
+    return;
+  }
+
+  if (command === "ban") {
+    if (getRole(id)) {
+      await bot.sendMessage(chatId, `⚠️ ${id} has the ${getRole(id)} role. Remove it before banning.`);
+      return;
+    }
+    access.banned.add(id);
+    access.allowedChats.delete(id);
+    persistAccess();
+    await cancelChatRenderJobs(id);
+    await bot.sendMessage(chatId, `🚫 ${id} is banned; the bot ignores them from now on.`);
+  } else {
+    if (!access.banned.delete(id)) {
+      await bot.sendMessage(chatId, `${id} is not banned.`);
+      return;
+    }
+    persistAccess();
+    await bot.sendMessage(chatId, `✅ ${id} is unbanned.`);
+  }
+});
+
+bot.onText(/^\/allowlist\b(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  const arg = (match?.[1] || "").toLowerCase();
+  if (!arg) {
+    if (await requireRole(msg, "operator")) await bot.sendMessage(chatId, describeAccess());
+    return;
+  }
+  if (!(await requireRole(msg, "admin"))) return;
+  if (arg !== "on" && arg !== "off") {
+    await bot.sendMessage(chatId, "Usage: /allowlist on|off");
+    return;
+  }
+  access.allowlistEnabled = arg === "on";
+  persistAccess();
+  await bot.sendMessage(
+    chatId,
+    access.allowlistEnabled
+      ? `🔒 Allowlist on: only approved chats (${access.allowedChats.size}) and staff can generate PDFs. Approve chats with /allow <chat id>.`
+      : "🔓 Allowlist off: every chat can generate PDFs."
+  );
+});
+
+// /allow [chat id] approves a chat for allowlist mode, /disallow revokes it; defaults to this chat
+bot.onText(/^\/(allow|disallow)\b(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  registerChatId(chatId);
+  if (!(await requireRole(msg, "operator"))) return;
+
+  const command = match[1];
+  const target = match[2] ? parseAccessId(match[2]) : chatId;
+  if (target === null) {
+    await bot.sendMessage(chatId, `Usage: /${command} [chat id]`);
+    return;
+  }
+
+  if (command === "allow") {
+    access.allowedChats.add(target);
+  } else if (!access.allowedChats.delete(target)) {
+    await bot.sendMessage(chatId, `Chat ${target} was not approved.`);
+    return;
+  }
+  persistAccess();
+  const note = access.allowlistEnabled ? "" : " (the allowlist is off, see /allowlist on)";
+  await bot.sendMessage(chatId, `✅ Chat ${target} ${command === "allow" ? "approved" : "no longer approved"}${note}.`);
+});
+
 // Handle button callbacks for PDF orientation
 bot.on("callback_query", async (query) => {
   const chatId = query.message.chat.id;
   registerChatId(chatId);
+  noteActivity(chatId);
   const data = query.data;
   const st = getState(chatId);
 
@@ -722,75 +4395,127 @@ bot.on("callback_query", async (query) => {
     await bot.answerCallbackQuery(query.id, { text: "Resetting your data..." });
 
     try {
+      await cancelChatRenderJobs(chatId);
       const userDir = path.join(ROOT, String(chatId));
       if (fs.existsSync(userDir)) {
         fs.rmSync(userDir, { recursive: true, force: true });
       }
 
-      state.set(chatId, {
-        pairs: [],
-        fronts: [],
-        backs: [],
-        currentGroup: 0,
-        imageGroups: [[]],
-        lastImagePath: null,
-        lastImageOrder: null,
-        pendingImages: [],
-        awaitingNews: false,
-        uiShown: false,
-        uiMessageId: null
-      });
+      state.set(chatId, createInitialState());
       await bot.sendMessage(chatId, "✅ Reset done. Your data cleared.\n\nSend new images to start over!");
     } catch (e) {
       await bot.sendMessage(chatId, `⚠️ Reset failed: ${e.message}`);
     }
-  } else if (data === "pdf_normal" || data === "pdf_flip" || data === "pdf_reverse") {
-    const flipImages = data === "pdf_flip";
-    const swapSides = data === "pdf_reverse" || data === "pdf_flip";
+  } else if (data.startsWith("job_cancel_")) {
+    const cancelled = await cancelRenderJob(chatId, data.slice("job_cancel_".length));
+    await bot.answerCallbackQuery(query.id, { text: cancelled ? "Cancelling..." : "This job has already finished." });
+  } else if (data === "retention_keep") {
+    persistSession(chatId);
+    await bot.answerCallbackQuery(query.id, { text: `Kept for another ${SESSION_IDLE_HOURS} hours.` });
+    try {
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id });
+    } catch (e) {
+      // Message may already be gone
+    }
+  } else if (data.startsWith("pdfpw_set") || data.startsWith("pdfpw_clear")) {
+    const again = data.endsWith("_again");
+    if (data.startsWith("pdfpw_clear")) {
+      st.pdfPassword = null;
+      await bot.answerCallbackQuery(query.id, { text: "Password removed." });
+      try {
+        await bot.editMessageReplyMarkup(createPdfOptionsKeyboard(getChatOutputFormat(chatId), { again }), {
+          chat_id: chatId,
+          message_id: query.message.message_id
+        });
+      } catch (e) {
+        // Message may already be gone
+      }
+      return;
+    }
+    st.awaitingPdfPassword = again ? "again" : "batch";
+    await bot.answerCallbackQuery(query.id);
+    await bot.sendMessage(
+      chatId,
+      `🔒 Send the password to open the PDF (${PDF_PASSWORD_LENGTH.min}-${PDF_PASSWORD_LENGTH.max} characters), or /cancel.\nYour message is deleted right away, and the PDF will only allow printing.`
+    );
+  } else if (data === "regen_menu") {
+    await bot.answerCallbackQuery(query.id);
+    await sendRegenerateOptions(chatId, st);
+  } else if (PDF_MODES[data] || PDF_MODES[data.replace(/^again_/, "")]) {
+    // again_<mode> regenerates the last finished batch and leaves the current one alone
+    const again = data.startsWith("again_");
+    const mode = PDF_MODES[data.replace(/^again_/, "")];
 
     // Answer callback to remove loading state
-    const modeLabel = flipImages ? "flipped + reversed" : swapSides ? "reversed" : "normal";
-    await bot.answerCallbackQuery(query.id, { text: `Generating ${modeLabel} PDF...` });
+    const modeLabel = mode.label;
+    const format = getChatOutputFormat(chatId);
+    if (!(await ensureChatAllowed(chatId, query.from.id, query))) return;
+    await bot.answerCallbackQuery(query.id, { text: `Generating ${modeLabel} ${OUTPUT_FORMATS[format].label}...` });
 
-    const pairs = st.pendingPairs || [];
+    const pairs = again ? getLastBatch(st)?.pairs || [] : st.pendingPairs || [];
     if (pairs.length === 0) {
-      await bot.sendMessage(chatId, "⚠️ No images found. Please send images again and use /pdf.");
+      await bot.sendMessage(
+        chatId,
+        again
+          ? "⚠️ The last batch is no longer kept. Please send the images again and use /pdf."
+          : "⚠️ No images found. Please send images again and use /pdf."
+      );
+      return;
+    }
+
+    const password = st.pdfPassword;
+    if (password && (format === "png" || format === "jpeg")) {
+      await bot.sendMessage(chatId, "⚠️ PNG/JPEG pages can't be password-protected. Choose PDF or ZIP output, or remove the password.");
       return;
     }
 
-    const jobDir = path.join(ROOT, String(chatId), uuidv4());
-    ensureDir(jobDir);
+    // No await between this check and enqueueRenderJob, which registers the job synchronously
+    if (hasRenderJob(chatId)) {
+      await bot.sendMessage(chatId, "⏳ A job for this chat is already queued or running. Wait for it or cancel it first.");
+      return;
+    }
 
     try {
-      const pairsToUse = [];
-
-      // Optional labels (keep OFF to preserve zero changes)
-      if (STAMP_LABELS) {
-        for (let i = 0; i < pairs.length; i++) {
-          const f = path.join(jobDir, `front_${i}_labeled.png`);
-          const b = path.join(jobDir, `back_${i}_labeled.png`);
-          await stampLabel(pairs[i].front, "FRONT", f);
-          await stampLabel(pairs[i].back, "BACK", b);
-          pairsToUse.push({ front: f, back: b });
+      const sent = await enqueueRenderJob(chatId, `${again ? "Regenerating" : "Generating"} ${OUTPUT_FORMATS[format].label}`, async (job) => {
+        job.jobDir = path.join(ROOT, String(chatId), uuidv4());
+        ensureDir(job.jobDir);
+        const renderOptions = {
+          ...getRenderOptions(chatId, mode),
+          password,
+          onProgress: (label, done, total) => reportJobProgress(job, label, done, total)
+        };
+        const { profile } = renderOptions;
+        const unprintable = renderOptions.captions.enabled ? findUnprintableCaptions(pairs) : [];
+        if (unprintable.length > 0) {
+          const more = unprintable.length > 5 ? ` and ${unprintable.length - 5} more` : "";
+          await bot.sendMessage(chatId, `⚠️ Some caption characters can't be printed on this server and show as "?": ${unprintable.slice(0, 5).join(", ")}${more}.`);
         }
-      } else {
-        pairsToUse.push(...pairs);
-      }
-
-      const outPdf = path.join(jobDir, "pub_exact_layout.pdf");
-
-      // Use multi-ID function with flip or reverse option
-      await makeMultiIdPdf(pairsToUse, outPdf, flipImages, swapSides);
-
-      const filenameSuffix = flipImages ? "flipped_reversed" : swapSides ? "reversed" : "normal";
-      const timestamp = Date.now();
-      const totalPages = Math.ceil(pairsToUse.length / 5);
-      const pageInfo = totalPages > 1 ? ` (${totalPages} pages)` : "";
-      await bot.sendDocument(chatId, outPdf, {}, { filename: `pub_${pairs.length}ids_${filenameSuffix}_${timestamp}.pdf` });
+        const pairsToUse = await prepareRenderPairs(chatId, pairs, job.jobDir, renderOptions);
+
+        const filenameSuffix = mode.suffix;
+        const timestamp = Date.now();
+        const totalPages = countPdfPages(profile, pairsToUse.length, mode.duplex);
+        const pageInfo = totalPages > 1 && format === "pdf" ? ` (${totalPages} pages)` : "";
+        // Use multi-ID function with the chosen orientation
+        const sentWhat = await sendRenderedOutput(
+          chatId,
+          format,
+          pairsToUse,
+          job.jobDir,
+          renderOptions,
+          `pub_${pairs.length}ids_${filenameSuffix}_${timestamp}`
+        );
+        // Delivered; in encrypted mode nothing of the job is kept
+        if (storageKey) await removeStoredDir(job.jobDir);
+        return { sentWhat, pageInfo };
+      });
+      // Cancelled: the job already said so and removed its files
+      if (!sent) return;
 
-      // Show success message with reset button
+      // Show success message with regenerate and reset buttons
       const resetKeyboard = {
         inline_keyboard: [
+          ...(BATCH_KEEP_HOURS > 0 ? [[{ text: "🔁 Regenerate (other orientation or layout)", callback_data: "regen_menu" }]] : []),
           [
             { text: "🔄 Reset & Start Over", callback_data: "user_reset" }
           ]
@@ -799,22 +4524,159 @@ bot.on("callback_query", async (query) => {
 
       await bot.sendMessage(
         chatId,
-        `✅ PDF generated with ${pairs.length} ID(s) (${modeLabel})${pageInfo}.`,
+        `✅ ${sent.sentWhat} ${again ? "regenerated" : "generated"} with ${pairs.length} ID(s) (${modeLabel})${sent.pageInfo}${password ? ", password-protected and print-only" : ""}.`,
         { reply_markup: resetKeyboard }
       );
 
-      // Clear after successful generation
-      st.fronts = [];
-      st.backs = [];
-      st.imageGroups = [[]];
-      st.currentGroup = 0;
-      st.pendingPairs = null;
-      st.lastImagePath = null;
-      st.lastImageOrder = null;
-      st.pendingImages = [];
+      // A password is asked for again for every PDF
+      st.pdfPassword = null;
+      if (again) return;
+
+      // Clear after successful generation, keeping the batch for regeneration
+      st.lastBatch = BATCH_KEEP_HOURS > 0 ? { pairs, createdAt: Date.now() } : null;
+      clearFinishedBatch(st, pairs);
+      persistSession(chatId);
     } catch (e) {
       await bot.sendMessage(chatId, `Failed: ${e.message}`);
     }
+  } else if (data.startsWith("layout_")) {
+    const name = data.slice("layout_".length);
+    if (!LAYOUT_PROFILES[name]) {
+      await bot.answerCallbackQuery(query.id, { text: "Unknown layout." });
+      return;
+    }
+    updateChatSettings(chatId, { layout: name });
+    await bot.answerCallbackQuery(query.id, { text: `Layout: ${LAYOUT_PROFILES[name].label}` });
+    await bot.sendMessage(chatId, `📐 Layout set to ${describeLayout(LAYOUT_PROFILES[name])}.`);
+  } else if (data.startsWith("format_")) {
+    const [, format, again] = data.split("_");
+    if (!OUTPUT_FORMATS[format]) {
+      await bot.answerCallbackQuery(query.id, { text: "Unknown format." });
+      return;
+    }
+    if (!isOutputFormatAvailable(format)) {
+      await bot.answerCallbackQuery(query.id, { text: `${OUTPUT_FORMATS[format].label} are not available on this server.` });
+      return;
+    }
+    updateChatSettings(chatId, { outputFormat: format });
+    await bot.answerCallbackQuery(query.id, { text: `Output: ${OUTPUT_FORMATS[format].label}. Now pick an orientation.` });
+    try {
+      await bot.editMessageReplyMarkup(createPdfOptionsKeyboard(format, { again: again === "again", passwordSet: !!st.pdfPassword }), {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+    } catch (e) {
+      // Keyboard unchanged or message gone; the choice is saved either way
+    }
+  } else if (data.startsWith("crop_yes_") || data.startsWith("crop_no_")) {
+    const accept = data.startsWith("crop_yes_");
+    const key = data.slice(accept ? "crop_yes_".length : "crop_no_".length);
+    const offer = st.cropOffers?.[key];
+    if (!offer) {
+      await bot.answerCallbackQuery(query.id, { text: "This image is no longer in your batch." });
+      return;
+    }
+    delete st.cropOffers[key];
+
+    if (accept) {
+      const replaced = replaceImagePath(st, offer.original, offer.cropped);
+      await bot.answerCallbackQuery(query.id, { text: replaced ? "Using the cropped image." : "Image is no longer in your batch." });
+    } else {
+      await fs.promises.rm(offer.cropped, { force: true });
+      await bot.answerCallbackQuery(query.id, { text: "Keeping the original image." });
+    }
+    persistSession(chatId);
+
+    try {
+      await bot.editMessageCaption(accept ? "✅ Cropped version used." : "↩️ Original kept.", {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+    } catch (e) {
+      // Preview may be gone; the choice is already applied
+    }
+  } else if (data.startsWith("reorder_")) {
+    if (data === "reorder_noop") {
+      await bot.answerCallbackQuery(query.id, { text: "Use ⬆️ / ⬇️ to move this ID." });
+      return;
+    }
+    if (data === "reorder_done") {
+      await bot.answerCallbackQuery(query.id, { text: "Order saved." });
+      try {
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id });
+      } catch (e) {
+        // Message may already be gone
+      }
+      return;
+    }
+
+    const [, direction, idxText] = data.split("_");
+    const from = parseInt(idxText);
+    const groups = st.imageGroups || [];
+    // Skip over empty groups so every tap visibly moves the ID
+    let to = from;
+    do {
+      to += direction === "up" ? -1 : 1;
+    } while (to >= 0 && to < groups.length && groups[to].length === 0);
+
+    await queueLabel(st, async () => {
+      if (!moveGroup(st, from, to)) {
+        await bot.answerCallbackQuery(query.id, { text: "Already at the edge." });
+        return;
+      }
+      persistSession(chatId);
+      await bot.answerCallbackQuery(query.id, { text: `Moved to #${to + 1}` });
+      const { text, keyboard } = createReorderView(st);
+      try {
+        await bot.editMessageText(text, { chat_id: chatId, message_id: query.message.message_id, reply_markup: keyboard });
+      } catch (e) {
+        await bot.sendMessage(chatId, text, { reply_markup: keyboard });
+      }
+    });
+  } else if (data === "preview_menu") {
+    await bot.answerCallbackQuery(query.id);
+    if (!st.pendingPairs?.length) {
+      await bot.sendMessage(chatId, "⚠️ No images found. Please send images again and use /pdf.");
+      return;
+    }
+    await bot.sendMessage(chatId, "👁 Preview which orientation?", { reply_markup: createPreviewKeyboard() });
+  } else if (data.startsWith("preview_") && PDF_MODES[data.slice("preview_".length)]) {
+    const modeKey = data.slice("preview_".length);
+    if (!(await ensureChatAllowed(chatId, query.from.id, query))) return;
+    await bot.answerCallbackQuery(query.id, { text: `Rendering ${PDF_MODES[modeKey].label} preview...` });
+
+    const pairs = st.pendingPairs || [];
+    if (pairs.length === 0) {
+      await bot.sendMessage(chatId, "⚠️ No images found. Please send images again and use /pdf.");
+      return;
+    }
+
+    if (hasRenderJob(chatId)) {
+      await bot.sendMessage(chatId, "⏳ A job for this chat is already queued or running. Wait for it or cancel it first.");
+      return;
+    }
+
+    try {
+      await enqueueRenderJob(chatId, "Preview", (job) => sendPagePreviews(chatId, pairs, modeKey, job));
+    } catch (e) {
+      await bot.sendMessage(chatId, `Preview failed: ${e.message}`);
+    }
+  } else if (data.startsWith("tag_front_") || data.startsWith("tag_back_")) {
+    const [, type, seqText] = data.split("_");
+    await bot.answerCallbackQuery(query.id);
+    const img = await tagPendingImage(chatId, st, type, Number(seqText));
+    if (img) {
+      try {
+        // PDF pages are tagged from their thumbnail, which has a caption instead of text
+        const edit = query.message.photo ? "editMessageCaption" : "editMessageText";
+        await bot[edit](`Image tagged as ${type.toUpperCase()}.`, {
+          chat_id: chatId,
+          message_id: query.message.message_id
+        });
+      } catch (e) {
+        // Receipt may be gone; the tag is already applied
+      }
+    }
   } else if (data === "ui_front") {
     const { frontCount } = countTemplates(st);
     await bot.answerCallbackQuery(query.id, { text: `Front pages: ${frontCount}` });
@@ -838,10 +4700,11 @@ bot.on("callback_query", async (query) => {
     await showTemplateUI(chatId, st);
   } else if (data === "ui_pdf") {
     // Trigger PDF generation
+    if (!(await ensureChatAllowed(chatId, query.from.id, query))) return;
     await bot.answerCallbackQuery(query.id, { text: "Generating PDF..." });
-    
+
     const groups = st.imageGroups || [[]];
-    const { pairs, incompleteGroups } = buildPairsFromGroups(groups);
+    const { pairs, incompleteGroups } = buildPairsFromGroups(groups, st.groupNames);
 
     if (incompleteGroups > 0) {
       await bot.sendMessage(
@@ -857,38 +4720,104 @@ bot.on("callback_query", async (query) => {
 
     // Store pairs in state for callback handler
     st.pendingPairs = pairs;
+    persistSession(chatId);
 
-    // Show orientation selection buttons
-    const keyboard = {
-      inline_keyboard: [
-        [
-          { text: "📄 Normal", callback_data: "pdf_normal" },
-          { text: "Reverse", callback_data: "pdf_reverse" }
-        ],
-        [
-          { text: "🔄 Flip + Reverse", callback_data: "pdf_flip" }
-        ]
-      ]
-    };
-
-    await bot.sendMessage(
-      chatId,
-      `📋 Ready to generate PDF with ${pairs.length} ID(s).\n\nChoose orientation:\nNormal = front left, back right\nReverse = back left, front right\nFlip + Reverse = mirror images + swap sides\n\n📄 Multi-page auto-generated if more than 5 IDs.`,
-      { reply_markup: keyboard }
-    );
+    await sendPdfOptions(chatId, pairs);
   }
 });
 
+async function takePendingImageBySeq(st, seq) {
+  const item = (st.pendingImages || []).find((img) => img.seq === seq);
+  if (!item) return null;
+  if (!item.ready && item.promise) {
+    try {
+      await item.promise;
+    } catch (e) {
+      st.pendingImages = st.pendingImages.filter((img) => img !== item);
+      return null;
+    }
+  }
+  if (!item.ready) return null;
+  st.pendingImages = st.pendingImages.filter((img) => img !== item);
+  return item;
+}
+
+/**
+ * Tag an untagged image as front or back. Replying to a photo (or passing its
+ * message id) tags exactly that one; otherwise the oldest waiting image is used.
+ * Returns the tagged item, or null after telling the user why not.
+ */
+async function tagPendingImage(chatId, st, type, replyTo, emptyHint) {
+  return queueLabel(st, async () => {
+    // A reply to the bot's "Image received" note counts as a reply to that image
+    const replyId = replyTo?.message_id;
+    const targetSeq = typeof replyTo === "number" ? replyTo : st.tagReceipts?.[replyId] ?? replyId ?? null;
+    const img = targetSeq === null ? await takePendingImage(st) : await takePendingImageBySeq(st, targetSeq);
+    if (!img) {
+      if (targetSeq === null) {
+        await bot.sendMessage(chatId, emptyHint);
+      } else {
+        const found = (st.imageGroups || []).flat().find((item) => item.seq === targetSeq);
+        await bot.sendMessage(
+          chatId,
+          found ? `That image is already tagged as ${found.type.toUpperCase()}.` : "That message isn't an untagged image in your batch."
+        );
+      }
+      return null;
+    }
+
+    const { frontCount, backCount } = addLabeledImage(st, type, img.path, img.seq);
+
+    // Update template UI immediately (creates new or updates existing)
+    await showTemplateUI(chatId, st);
+
+    // Then send confirmation message
+    const number = type === "front" ? frontCount : backCount;
+    await bot.sendMessage(chatId, `?o. ${type.toUpperCase()} #${number}. Total: ${frontCount} fronts, ${backCount} backs. /pdf`);
+    return img;
+  });
+}
+
+const TAG_RECEIPTS_LIMIT = 200;
+
+// Saved with the session so replies to older receipts still find their image after a restart
+function rememberTagReceipt(chatId, st, receipt, seq) {
+  if (!st.tagReceipts) st.tagReceipts = {};
+  st.tagReceipts[receipt.message_id] = seq;
+  const ids = Object.keys(st.tagReceipts);
+  if (ids.length > TAG_RECEIPTS_LIMIT) delete st.tagReceipts[ids[0]];
+  persistSession(chatId);
+}
+
+function createTagKeyboard(seq) {
+  return {
+    inline_keyboard: [[
+      { text: "Front", callback_data: `tag_front_${seq}` },
+      { text: "Back", callback_data: `tag_back_${seq}` }
+    ]]
+  };
+}
+
 // Tagging by text: "front" / "back" or any text as separator
 bot.on("message", async (msg) => {
   const chatId = msg.chat.id;
   registerChatId(chatId);
+  noteActivity(chatId);
   if (typeof msg.text !== "string") return;
   const rawText = msg.text.trim();
   const text = rawText.toLowerCase();
   const st = getState(chatId);
 
-  if (st.awaitingNews && msg.from?.id === ADMIN_ID) {
+  // Any command ends the wait for an overlay logo; /overlay logo sets it again after this
+  if (st.awaitingOverlayLogo && text.startsWith("/")) {
+    st.awaitingOverlayLogo = false;
+    if (text === "/cancel") {
+      await bot.sendMessage(chatId, "Logo upload canceled.");
+      return;
+    }
+  }
+
+  if (st.awaitingNews && hasRole(msg.from?.id, "admin")) {
     if (text === "/cancel") {
       st.awaitingNews = false;
       await bot.sendMessage(chatId, "News broadcast canceled.");
@@ -904,56 +4833,53 @@ bot.on("message", async (msg) => {
     return;
   }
 
-  // If not a command and not front/back, treat as separator
-  if (!text.startsWith('/') && text !== "front" && text !== "back") {
-    st.currentGroup = (st.currentGroup || 0) + 1;
-    if (!st.imageGroups) st.imageGroups = [[]];
-    if (!st.imageGroups[st.currentGroup]) {
-      st.imageGroups[st.currentGroup] = [];
+  if (st.awaitingPdfPassword) {
+    const target = st.awaitingPdfPassword;
+    st.awaitingPdfPassword = null;
+    // A command ends password mode and is never taken as the password; it still runs as usual
+    if (msg.text.startsWith("/")) {
+      if (text === "/cancel") await bot.sendMessage(chatId, "Password not set.");
+      return;
+    }
+    // Keep the password out of the chat history; it is never repeated back
+    try {
+      await bot.deleteMessage(chatId, msg.message_id);
+    } catch (e) {
+      await bot.sendMessage(chatId, "⚠️ Couldn't delete your message with the password, please delete it yourself.");
     }
-    await bot.sendMessage(chatId, `✅ Group #${st.currentGroup + 1} started.`);
+    // Exactly as typed: spaces at either end are part of the password
+    const error = validatePdfPassword(msg.text);
+    if (error) {
+      st.awaitingPdfPassword = target;
+      await bot.sendMessage(chatId, `⚠️ ${error} Send another one, or /cancel.`);
+      return;
+    }
+    st.pdfPassword = msg.text;
+    await bot.sendMessage(chatId, "🔒 Password set. The next PDF will ask for it when opened.");
+    if (target === "again") await sendRegenerateOptions(chatId, st);
+    else if (st.pendingPairs) await sendPdfOptions(chatId, st.pendingPairs);
     return;
   }
 
-  if (text !== "front" && text !== "back") return;
-
-  if (text === "front") {
-    await queueLabel(st, async () => {
-      // No limit on front images - multi-page support
-
-      const img = await takePendingImage(st);
-      if (!img) return bot.sendMessage(chatId, "Send an image first, then type front/back.");
-
-      const counts = addLabeledImage(st, "front", img.path, img.seq);
-      const frontCount = counts.frontCount;
-      const backCount = counts.backCount;
-      
-      // Update template UI immediately (creates new or updates existing)
-      await showTemplateUI(chatId, st);
-      
-      // Then send confirmation message
-      await bot.sendMessage(chatId, `?o. FRONT #${frontCount}. Total: ${frontCount} fronts, ${backCount} backs. /pdf`);
-    });
+  // If not a command and not front/back, treat as separator; the text names the group
+  if (!text.startsWith('/') && text !== "front" && text !== "back") {
+    const current = st.currentGroup || 0;
+    if ((st.imageGroups?.[current] || []).length === 0) {
+      // Nothing in the current group yet: name it instead of leaving it empty
+      setGroupName(st, current, rawText);
+    } else {
+      startNextGroup(st, rawText);
+    }
+    persistSession(chatId);
+    const name = getGroupName(st, st.currentGroup || 0);
+    await bot.sendMessage(chatId, `✅ Group #${(st.currentGroup || 0) + 1}${name ? ` "${name}"` : ""} started.`);
+    return;
   }
 
-  if (text === "back") {
-    await queueLabel(st, async () => {
-      // No limit on back images - multi-page support
-
-      const img = await takePendingImage(st);
-      if (!img) return bot.sendMessage(chatId, "Send an image first, then type front/back.");
+  if (text !== "front" && text !== "back") return;
 
-      const counts = addLabeledImage(st, "back", img.path, img.seq);
-      const frontCount = counts.frontCount;
-      const backCount = counts.backCount;
-      
-      // Update template UI immediately (creates new or updates existing)
-      await showTemplateUI(chatId, st);
-      
-      // Then send confirmation message
-      await bot.sendMessage(chatId, `?o. BACK #${backCount}. Total: ${frontCount} fronts, ${backCount} backs. /pdf`);
-    });
-  }
+  // No limit on front/back images - multi-page support
+  await tagPendingImage(chatId, st, text, msg.reply_to_message, "Send an image first, then type front/back.");
 });
 
 // Receive photos
@@ -973,7 +4899,18 @@ bot.on("photo", async (msg) => {
     const order = msg.message_id ?? Date.now();
     const imgPath = path.join(userDir, `upload_${order}_${uuidv4()}.jpg`);
     const caption = (msg.caption || "").toLowerCase();
-    const downloadPromise = downloadTelegramFile(best.file_id, imgPath);
+    const downloadPromise = downloadTelegramFile(best.file_id, imgPath, { stored: true });
+    if (msg.media_group_id) {
+      collectAlbumItem(chatId, msg.media_group_id, { path: imgPath, seq: order, download: downloadPromise });
+      return;
+    }
+    if (isSequentialMode(chatId)) {
+      queuePendingImage(st, imgPath, order, downloadPromise);
+      await downloadPromise;
+      await queueLabel(st, () => labelNextSequential(chatId, st));
+      if (getChatSettings(chatId).autoCrop) await offerAutoCrop(chatId, st, imgPath, order);
+      return;
+    }
     let pending = null;
     if (!caption.includes("front") && !caption.includes("back")) {
       pending = queuePendingImage(st, imgPath, order, downloadPromise);
@@ -1009,8 +4946,16 @@ bot.on("photo", async (msg) => {
       await bot.sendMessage(chatId, `?o. BACK #${backCount}. Total: ${frontCount} fronts, ${backCount} backs. /pdf`);
     } else {
       if (pending) pending.ready = true;
-      await bot.sendMessage(chatId, `Image received. Add caption 'Front' or 'Back', or type front/back.`);
+      persistSession(chatId);
+      const receipt = await bot.sendMessage(
+        chatId,
+        `Image received. Add caption 'Front' or 'Back', type front/back, reply to the photo, or tap:`,
+        { reply_markup: createTagKeyboard(order) }
+      );
+      rememberTagReceipt(chatId, st, receipt, order);
     }
+
+    if (getChatSettings(chatId).autoCrop) await offerAutoCrop(chatId, st, imgPath, order);
   } catch (e) {
     await bot.sendMessage(chatId, `Download failed: ${e.message}. Please try sending the image again.`);
   }
@@ -1027,9 +4972,49 @@ bot.on("document", async (msg) => {
 
   const filename = (doc.file_name || "").toLowerCase();
   const isImg = filename.endsWith(".png") || filename.endsWith(".jpg") || filename.endsWith(".jpeg") || filename.endsWith(".webp");
+  const needsConversion = CONVERTIBLE_IMAGE_EXTENSIONS.includes(path.extname(filename));
+
+  // Only a PNG can be the logo; anything else goes through the normal import
+  if (st.awaitingOverlayLogo && (filename.endsWith(".png") || doc.mime_type === "image/png")) {
+    st.awaitingOverlayLogo = false;
+    try {
+      const overlay = await saveOverlayLogo(chatId, doc.file_id);
+      await bot.sendMessage(chatId, `🖋 Logo saved. Overlay: ${formatOverlay(overlay)}`);
+    } catch (e) {
+      await bot.sendMessage(chatId, `Could not use that logo: ${e.message}. Send /overlay logo to try again.`);
+    }
+    return;
+  }
+
+  if (filename.endsWith(".zip")) {
+    const userDir = path.join(ROOT, String(chatId));
+    ensureDir(userDir);
+    const order = msg.message_id ?? Date.now();
+    const zipPath = path.join(userDir, `${order}_${uuidv4()}.zip`);
+    try {
+      await downloadTelegramFile(doc.file_id, zipPath, { stored: true });
+      await importZipArchive(chatId, zipPath, order);
+    } catch (e) {
+      console.error(`ZIP import failed for ${chatId}: ${e.message}`);
+      await bot.sendMessage(chatId, `Could not import the archive: ${e.message}`);
+    } finally {
+      await fs.promises.rm(zipPath, { force: true });
+    }
+    return;
+  }
+
+  if (filename.endsWith(".pdf")) {
+    try {
+      await importPdfDocument(chatId, st, doc.file_id, msg.message_id ?? Date.now(), (msg.caption || "").toLowerCase());
+    } catch (e) {
+      console.error(`PDF import failed for ${chatId}: ${e.message}`);
+      await bot.sendMessage(chatId, `Could not read the PDF: ${e.message}`);
+    }
+    return;
+  }
 
-  if (!isImg) {
-    await bot.sendMessage(chatId, "Please send an image (png/jpg/webp). Users do not need PUB.");
+  if (!isImg && !needsConversion) {
+    await bot.sendMessage(chatId, "Please send an image (png/jpg/webp/heic/tiff), a PDF or a .zip of images. Users do not need PUB.");
     return;
   }
 
@@ -1039,9 +5024,23 @@ bot.on("document", async (msg) => {
   try {
     const order = msg.message_id ?? Date.now();
     const safeName = path.basename(filename) || "upload";
-    const outPath = path.join(userDir, `${order}_${uuidv4()}_${safeName}`);
+    const outPath = path.join(userDir, `${order}_${uuidv4()}_${needsConversion ? `${path.parse(safeName).name}.jpg` : safeName}`);
     const caption = (msg.caption || "").toLowerCase();
-    const downloadPromise = downloadTelegramFile(doc.file_id, outPath);
+    const downloadPromise = needsConversion
+      ? downloadAndConvertImage(doc.file_id, outPath)
+      : downloadTelegramFile(doc.file_id, outPath, { stored: true });
+    if (msg.media_group_id) {
+      collectAlbumItem(chatId, msg.media_group_id, { path: outPath, seq: order, download: downloadPromise });
+      return;
+    }
+
+    if (isSequentialMode(chatId)) {
+      queuePendingImage(st, outPath, order, downloadPromise);
+      await downloadPromise;
+      await queueLabel(st, () => labelNextSequential(chatId, st));
+      if (getChatSettings(chatId).autoCrop) await offerAutoCrop(chatId, st, outPath, order);
+      return;
+    }
 
     let pending = null;
     if (!caption.includes("front") && !caption.includes("back")) {
@@ -1075,17 +5074,281 @@ bot.on("document", async (msg) => {
       await bot.sendMessage(chatId, `?o. BACK #${backCount}. Total: ${frontCount} fronts, ${backCount} backs. /pdf`);
     } else {
       if (pending) pending.ready = true;
+      persistSession(chatId);
       const frontCount = st.fronts?.length || 0;
       const backCount = st.backs?.length || 0;
-      await bot.sendMessage(chatId, `Image received. Type 'front' or 'back' (or /front /back). Current: ${frontCount} fronts, ${backCount} backs.`);
+      const receipt = await bot.sendMessage(
+        chatId,
+        `Image received. Type 'front' or 'back' (or /front /back), reply to the file, or tap. Current: ${frontCount} fronts, ${backCount} backs.`,
+        { reply_markup: createTagKeyboard(order) }
+      );
+      rememberTagReceipt(chatId, st, receipt, order);
     }
+
+    if (getChatSettings(chatId).autoCrop) await offerAutoCrop(chatId, st, outPath, order);
   } catch (e) {
-    await bot.sendMessage(chatId, `Download failed: ${e.message}. Please try sending the image again.`);
+    const hint = needsConversion ? "Please export it as JPG/PNG or send it as a photo." : "Please try sending the image again.";
+    await bot.sendMessage(chatId, `${needsConversion ? "Import" : "Download"} failed: ${e.message}. ${hint}`);
   }
 });
 
+/* ==========================
+   Retention
+   ========================== */
+
+const HOUR_MS = 60 * 60 * 1000;
+const RETENTION_SWEEP_MS = 15 * 60 * 1000;
+const STORAGE_REPORT_ROWS = 20;
+// Render and preview job folders are named by uuidv4(); zip_ folders hold imported uploads
+const JOB_DIR_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// Activity is written to session.json at most this often per chat, so a restart keeps it
+const ACTIVITY_SAVE_DELAY_MS = 60 * 1000;
+let lastSweep = null;
+let sweepRunning = false;
+const activitySaves = new Map();
+
+function noteActivity(chatId) {
+  const st = getState(chatId);
+  st.lastActivityAt = Date.now();
+  st.expiryWarnedAt = null;
+  if (activitySaves.has(chatId)) return;
+  activitySaves.set(chatId, setTimeout(() => {
+    activitySaves.delete(chatId);
+    persistSession(chatId);
+  }, ACTIVITY_SAVE_DELAY_MS));
+}
+
+function countBatchImages(st) {
+  return (st.imageGroups || []).reduce((sum, group) => sum + group.length, 0) + (st.pendingImages || []).length;
+}
+
+// Every file the session still points at; anything else in the chat folder is an orphan
+function referencedFiles(st) {
+  const paths = new Set();
+  const add = (p) => {
+    if (p) paths.add(p);
+  };
+  const addImages = (list) => (list || []).forEach((img) => {
+    add(img.path);
+    add(img.originalPath);
+  });
+  (st.imageGroups || []).forEach(addImages);
+  addImages(st.fronts);
+  addImages(st.backs);
+  addImages(st.pendingImages);
+  for (const pair of [...(st.pendingPairs || []), ...(st.lastBatch?.pairs || [])]) {
+    add(pair.front);
+    add(pair.back);
+  }
+  add(st.lastImagePath);
+  (st.history || []).forEach((entry) => add(entry.path));
+  Object.values(st.cropOffers || {}).forEach((offer) => {
+    add(offer.original);
+    add(offer.cropped);
+  });
+  return paths;
+}
+
+async function diskUsage(target) {
+  const usage = { bytes: 0, files: 0 };
+  let entries;
+  try {
+    entries = await fs.promises.readdir(target, { withFileTypes: true });
+  } catch (e) {
+    return usage;
+  }
+  for (const entry of entries) {
+    const full = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      const sub = await diskUsage(full);
+      usage.bytes += sub.bytes;
+      usage.files += sub.files;
+    } else {
+      const stat = await fs.promises.stat(full).catch(() => null);
+      if (!stat) continue;
+      usage.bytes += stat.size;
+      usage.files += 1;
+    }
+  }
+  return usage;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+async function notifyChat(chatId, text, options) {
+  try {
+    await bot.sendMessage(chatId, text, options);
+  } catch (e) {
+    console.error(`Retention notice to ${chatId} failed: ${e.message}`);
+  }
+}
+
+/**
+ * Warn about or expire the unfinished batch of an idle chat. A chat with
+ * nothing left to keep loses its whole folder; the chat's settings stay.
+ * Returns true when the folder was removed.
+ */
+async function expireIdleSession(chatId, st, now, stats) {
+  if (SESSION_IDLE_HOURS <= 0 || hasRenderJob(chatId)) return false;
+  const idleMs = now - (st.lastActivityAt || now);
+  const images = countBatchImages(st);
+
+  if (images === 0) {
+    if (st.lastBatch || idleMs < SESSION_IDLE_HOURS * HOUR_MS) return false;
+    const chatDir = path.join(ROOT, String(chatId));
+    stats.bytes += (await diskUsage(chatDir)).bytes;
+    await fs.promises.rm(chatDir, { recursive: true, force: true });
+    state.delete(chatId);
+    stats.sessions += 1;
+    return true;
+  }
+
+  if (idleMs >= SESSION_IDLE_HOURS * HOUR_MS) {
+    clearWorkingBatch(st);
+    st.expiryWarnedAt = null;
+    persistSession(chatId);
+    stats.sessions += 1;
+    await notifyChat(chatId, `🗑 Your unfinished batch (${images} image(s)) was deleted after ${SESSION_IDLE_HOURS} hours without activity.`);
+  } else if (SESSION_WARN_HOURS > 0 && !st.expiryWarnedAt && idleMs >= (SESSION_IDLE_HOURS - SESSION_WARN_HOURS) * HOUR_MS) {
+    st.expiryWarnedAt = now;
+    persistSession(chatId);
+    const hoursLeft = Math.max(1, Math.round((SESSION_IDLE_HOURS * HOUR_MS - idleMs) / HOUR_MS));
+    await notifyChat(
+      chatId,
+      `⏳ Your unfinished batch (${images} image(s)) will be deleted in about ${hoursLeft} hour(s) without activity. Use /pdf to finish it, or keep it for now.`,
+      { reply_markup: { inline_keyboard: [[{ text: `📌 Keep for ${SESSION_IDLE_HOURS} more hours`, callback_data: "retention_keep" }]] } }
+    );
+  }
+  return false;
+}
+
+// Remove orphaned uploads and old job folders below one chat folder
+async function sweepChatFiles(chatId, st, now, stats) {
+  const chatDir = path.join(ROOT, String(chatId));
+  const keep = referencedFiles(st);
+  const activeJobDirs = new Set([...runningJobs.values()].map((job) => job.jobDir).filter(Boolean));
+  const olderThan = (stat, hours) => hours > 0 && now - stat.mtimeMs > hours * HOUR_MS;
+
+  const sweepDir = async (dir) => {
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      const stat = await fs.promises.stat(full).catch(() => null);
+      if (!stat || activeJobDirs.has(full)) continue;
+
+      if (entry.isDirectory() && dir === chatDir && JOB_DIR_PATTERN.test(entry.name)) {
+        if (!olderThan(stat, JOB_KEEP_HOURS)) continue;
+        stats.bytes += (await diskUsage(full)).bytes;
+        await fs.promises.rm(full, { recursive: true, force: true });
+        stats.jobs += 1;
+      } else if (entry.isDirectory()) {
+        await sweepDir(full);
+        if (olderThan(stat, ORPHAN_UPLOAD_HOURS) && (await fs.promises.readdir(full)).length === 0) {
+          await fs.promises.rmdir(full);
+        }
+      } else if (entry.name !== SESSION_FILE && !keep.has(full) && olderThan(stat, ORPHAN_UPLOAD_HOURS)) {
+        await fs.promises.rm(full, { force: true });
+        stats.uploads += 1;
+        stats.bytes += stat.size;
+      }
+    }
+  };
+  await sweepDir(chatDir);
+}
+
+/**
+ * One pass of the retention sweeper over every chat folder. Runs every
+ * RETENTION_SWEEP_MS; files the current or last batch refers to are never touched.
+ */
+async function sweepStorage() {
+  if (sweepRunning) return null;
+  sweepRunning = true;
+  const now = Date.now();
+  const stats = { uploads: 0, jobs: 0, sessions: 0, bytes: 0 };
+  try {
+    const entries = await fs.promises.readdir(ROOT, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !/^-?\d+$/.test(entry.name)) continue;
+      const chatId = parseInt(entry.name);
+      try {
+        const st = getState(chatId);
+        // Drops the last batch once it expired, so its images become orphans
+        if (st.lastBatch && !getLastBatch(st)) persistSession(chatId);
+        if (await expireIdleSession(chatId, st, now, stats)) continue;
+        await sweepChatFiles(chatId, st, now, stats);
+      } catch (e) {
+        console.error(`Retention sweep failed for ${chatId}: ${e.message}`);
+      }
+    }
+    lastSweep = { at: now, ...stats };
+    if (stats.uploads + stats.jobs + stats.sessions > 0) {
+      console.log(`Retention sweep: ${stats.uploads} upload(s), ${stats.jobs} job folder(s), ${stats.sessions} session(s), ${formatBytes(stats.bytes)} freed`);
+    }
+    return stats;
+  } finally {
+    sweepRunning = false;
+  }
+}
+
+function describeRetention() {
+  const hours = (value) => (value > 0 ? `${value}h` : "off");
+  return `Orphaned uploads ${hours(ORPHAN_UPLOAD_HOURS)}, job folders ${hours(JOB_KEEP_HOURS)}, idle batches ${hours(SESSION_IDLE_HOURS)} (warned ${hours(SESSION_WARN_HOURS)} before), last batch ${hours(BATCH_KEEP_HOURS)}`;
+}
+
+async function buildStorageReport() {
+  const now = Date.now();
+  const total = await diskUsage(ROOT);
+  const chats = [];
+  for (const entry of await fs.promises.readdir(ROOT, { withFileTypes: true })) {
+    if (!entry.isDirectory() || !/^-?\d+$/.test(entry.name)) continue;
+    const chatId = parseInt(entry.name);
+    const st = state.get(chatId);
+    chats.push({
+      chatId,
+      ...(await diskUsage(path.join(ROOT, entry.name))),
+      images: st ? countBatchImages(st) : 0,
+      idleHours: st?.lastActivityAt ? (now - st.lastActivityAt) / HOUR_MS : null
+    });
+  }
+  chats.sort((a, b) => b.bytes - a.bytes);
+
+  const lines = [
+    `💾 Storage: ${formatBytes(total.bytes)} in ${total.files} file(s), ${chats.length} chat folder(s)`,
+    `🧹 Retention: ${describeRetention()}`,
+    lastSweep
+      ? `Last sweep ${Math.round((now - lastSweep.at) / 60000)} min ago: ${lastSweep.uploads} upload(s), ${lastSweep.jobs} job folder(s), ${lastSweep.sessions} session(s), ${formatBytes(lastSweep.bytes)} freed`
+      : "No sweep has run yet.",
+    ""
+  ];
+  for (const chat of chats.slice(0, STORAGE_REPORT_ROWS)) {
+    const idle = chat.idleHours === null ? "no session" : `idle ${chat.idleHours < 1 ? "<1" : Math.floor(chat.idleHours)}h`;
+    lines.push(`• ${chat.chatId}: ${formatBytes(chat.bytes)}, ${chat.files} file(s), ${chat.images} image(s) in batch, ${idle}`);
+  }
+  if (chats.length > STORAGE_REPORT_ROWS) lines.push(`…and ${chats.length - STORAGE_REPORT_ROWS} more`);
+  return lines.join("\n");
+}
+
 /* ==========
    Startup
    ========== */
 console.log("✅ Bot is running...");
+
+detectPdftoppm().then((available) => {
+  pdftoppmAvailable = available;
+  if (!available) console.error("pdftoppm not found: PNG/JPEG output is disabled and PDF uploads can't be read");
+});
+
+sweepStorage().catch((e) => console.error(`Retention sweep failed: ${e.message}`));
+setInterval(() => {
+  sweepStorage().catch((e) => console.error(`Retention sweep failed: ${e.message}`));
+}, RETENTION_SWEEP_MS);
   
\ No newline at end of file